@@ -0,0 +1,93 @@
+/** @module clients */
+
+/**
+ * Circuit breaker that protects remote calls from repeated failures.
+ *
+ * After the number of consecutive failures reaches the threshold the circuit opens
+ * and calls fail fast. When the reset timeout elapses the circuit becomes half-open
+ * and lets a trial call through: its success closes the circuit, while its failure
+ * opens the circuit again.
+ *
+ * @see [[LambdaClient]]
+ *
+ * ### Example ###
+ *
+ *     let breaker = new CircuitBreaker(5, 30000);
+ *
+ *     if (!breaker.isAllowed()) {
+ *         // Fail fast
+ *     }
+ *     ...
+ *     if (err) breaker.recordFailure();
+ *     else breaker.recordSuccess();
+ */
+export class CircuitBreaker {
+    /**
+     * The state when calls are allowed.
+     */
+    public static readonly Closed = 'closed';
+    /**
+     * The state when calls fail fast.
+     */
+    public static readonly Open = 'open';
+    /**
+     * The state when a trial call is allowed.
+     */
+    public static readonly HalfOpen = 'half-open';
+
+    private _failureThreshold: number;
+    private _resetTimeout: number;
+    private _failures: number = 0;
+    private _openedAt: number = null;
+
+    /**
+     * Creates a new instance of the circuit breaker.
+     *
+     * @param failureThreshold  (optional) a number of consecutive failures that opens the circuit (default: 5).
+     * @param resetTimeout      (optional) a time in milliseconds before a trial call is allowed (default: 30 sec).
+     */
+    public constructor(failureThreshold: number = 5, resetTimeout: number = 30000) {
+        this._failureThreshold = Math.max(failureThreshold, 1);
+        this._resetTimeout = resetTimeout;
+    }
+
+    /**
+     * Gets the current state of the circuit: "closed", "open" or "half-open".
+     *
+     * @returns the current state of the circuit.
+     */
+    public getState(): string {
+        if (this._openedAt == null)
+            return CircuitBreaker.Closed;
+        if (new Date().getTime() - this._openedAt >= this._resetTimeout)
+            return CircuitBreaker.HalfOpen;
+        return CircuitBreaker.Open;
+    }
+
+    /**
+     * Checks if a call is allowed in the current state.
+     *
+     * @returns true if the call is allowed and false if it shall fail fast.
+     */
+    public isAllowed(): boolean {
+        return this.getState() != CircuitBreaker.Open;
+    }
+
+    /**
+     * Records a successful call. It closes the circuit.
+     */
+    public recordSuccess(): void {
+        this._failures = 0;
+        this._openedAt = null;
+    }
+
+    /**
+     * Records a failed call. It opens the circuit when the number
+     * of consecutive failures reaches the threshold or when a trial call fails.
+     */
+    public recordFailure(): void {
+        this._failures++;
+        if (this._openedAt != null || this._failures >= this._failureThreshold)
+            this._openedAt = new Date().getTime();
+    }
+}
@@ -1,4 +1,5 @@
 /** @module clients */
+import { LambdaCommands } from '../connect/LambdaCommands';
 import { LambdaClient } from './LambdaClient';
 
 /**
@@ -12,12 +13,46 @@ import { LambdaClient } from './LambdaClient';
  * - connections:                   
  *     - discovery_key:               (optional) a key to retrieve the connection from [[https://pip-services3-node.github.io/pip-services3-components-node/interfaces/connect.idiscovery.html IDiscovery]]
  *     - region:                      (optional) AWS region
+ *     - arn:                         (optional) AWS Lambda function ARN, optionally ending with alias or version
+ *     - function:                    (optional) AWS Lambda function name with optional alias or version when arn is not set
+ *     - account:                     (optional) AWS account of the function (default: taken from role_arn or STS)
+ *     - qualifier:                   (optional) alias or version of the function to invoke, i.e. "live" or "3"
+ *     - uri:                         (optional) custom endpoint, i.e. of [[LambdaEmulatorService]] or LocalStack,
+ *                                    or function URI, i.e. "aws://lambda/us-east-1/123456789012/my-function:live"
+ *     - host:                        (optional) host of custom endpoint when uri is not set
+ *     - port:                        (optional) port of custom endpoint
+ *     - ssl_enabled:                 (optional) false to disable TLS for custom endpoint (default: true)
+ *     - force_path_style:            (optional) true to use path-style addressing (default: false)
  * - credentials:    
  *     - store_key:                   (optional) a key to retrieve the credentials from [[https://pip-services3-node.github.io/pip-services3-components-node/interfaces/auth.icredentialstore.html ICredentialStore]]
- *     - access_id:                   AWS access/client id
- *     - access_key:                  AWS access/client id
+ *     - access_id:                   (optional) AWS access/client id
+ *     - access_key:                  (optional) AWS access/client key
+ *     - session_token:               (optional) AWS session token of temporary credentials
+ *     - profile:                     (optional) profile in shared credentials file (default: AWS_PROFILE or "default")
+ *     - role_arn:                    (optional) ARN of IAM role to assume with STS
+ *     - external_id:                 (optional) external id required to assume the role
+ *     - session_name:                (optional) name of the role session (default: "pip-services")
+ *     - sts_endpoint:                (optional) custom STS endpoint, i.e. of a stand-in service for testing
  * - options:
  *     - connect_timeout:             (optional) connection timeout in milliseconds (default: 10 sec)
+ *     - timeout:                     (optional) socket inactivity timeout in milliseconds (default: SDK default)
+ *     - proxy:                       (optional) URL of HTTP proxy to send requests through
+ *     - keep_alive:                  (optional) true to reuse connections (default: false)
+ *     - max_sockets:                 (optional) maximum number of sockets per host (default: unlimited)
+ *     - sdk_version:                 (optional) AWS SDK version to use: 2 or 3 (default: 3 when installed, otherwise 2)
+ *     - use_fips:                    (optional) true to use FIPS 140-2 endpoints (default: false)
+ *     - use_dualstack:               (optional) true to use dual-stack IPv4/IPv6 endpoints (default: false)
+ *     - retries:                     (optional) number of retries for throttled, failed or timed out invocations (default: 3)
+ *     - retry_timeout:               (optional) initial delay between retries in milliseconds, doubled on every attempt (default: 100)
+ *     - max_retry_timeout:           (optional) maximum delay between retries in milliseconds (default: 5 sec)
+ *     - retry_one_way:               (optional) true to retry one-way calls that are not idempotent (default: false)
+ *     - circuit_breaker:             (optional) true to fail fast after repeated failures (default: false)
+ *     - failure_threshold:           (optional) number of consecutive failures that opens the circuit (default: 5)
+ *     - reset_timeout:               (optional) time in milliseconds before a trial call is allowed (default: 30 sec)
+ *     - log_tail:                    (optional) true to request the tail of function log in synchronous calls (default: false)
+ *     - client_context:              (optional) true to pass caller identity and correlation id in client context (default: false)
+ *     - max_concurrency:             (optional) maximum number of concurrent invocations made by callMany (default: 10)
+ *     - call_timeout:                (optional) timeout in milliseconds of each invocation made by callMany, 0 to disable (default: 0)
  *  
  * ### References ###
  * 
@@ -25,6 +60,7 @@ import { LambdaClient } from './LambdaClient';
  * - <code>\*:counters:\*:\*:1.0</code>          (optional) [[https://pip-services3-node.github.io/pip-services3-components-node/interfaces/count.icounters.html ICounters]] components to pass collected measurements
  * - <code>\*:discovery:\*:\*:1.0</code>         (optional) [[https://pip-services3-node.github.io/pip-services3-components-node/interfaces/connect.idiscovery.html IDiscovery]] services to resolve connection
  * - <code>\*:credential-store:\*:\*:1.0</code>  (optional) Credential stores to resolve credentials
+ * - <code>\*:context-info:\*:\*:1.0</code>      (optional) [[https://pip-services3-node.github.io/pip-services3-components-node/classes/info.contextinfo.html ContextInfo]] to identify the caller in client context
  * 
  * @see [[LambdaFunction]]
  * 
@@ -61,7 +97,10 @@ import { LambdaClient } from './LambdaClient';
  *     });
  */
 export class CommandableLambdaClient extends LambdaClient {
-    private _name: string;
+    /**
+     * The service name used in counters.
+     */
+    protected _name: string;
 
     /**
      * Creates a new instance of this client.
@@ -81,10 +120,19 @@ export class CommandableLambdaClient extends LambdaClient {
      * @param cmd               an action name
      * @param correlationId     (optional) transaction id to trace execution through call chain.
      * @param params            command parameters.
-     * @param callback          callback function that receives result or error.
+     * @param callback          (optional) callback function that receives result or error.
+     *                          When it is omitted the method returns a Promise.
      */
-    public callCommand(cmd: string, correlationId: string, params: any,
-        callback: (err: any, result: any) => void): void {
+    public callCommand<T = any>(cmd: string, correlationId: string, params: any): Promise<T>;
+    public callCommand<T = any>(cmd: string, correlationId: string, params: any,
+        callback: (err: any, result: T) => void): void;
+    public callCommand<T = any>(cmd: string, correlationId: string, params: any,
+        callback?: (err: any, result: T) => void): any {
+        if (callback == null) {
+            return this.composePromise<T>((callback) => {
+                this.callCommand<T>(cmd, correlationId, params, callback);
+            });
+        }
         
         let timing = this.instrument(correlationId, this._name + '.' + cmd);
 
@@ -94,4 +142,53 @@ export class CommandableLambdaClient extends LambdaClient {
             if (callback) callback(err, result);
         });
     }
-}
\ No newline at end of file
+
+    /**
+     * Calls several remote actions in AWS Lambda function in a single invocation.
+     * Failures of individual actions are returned in the corresponding result entries.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param commands          a list of actions with their names and parameters.
+     * @param parallel          true to execute the actions in parallel and false to execute them sequentially.
+     * @param callback          (optional) callback function that receives a list of results or errors.
+     *                          When it is omitted the method returns a Promise.
+     */
+    public callBatch(correlationId: string, commands: { cmd: string, params?: any }[],
+        parallel?: boolean): Promise<{ cmd: string, result?: any, error?: any }[]>;
+    public callBatch(correlationId: string, commands: { cmd: string, params?: any }[], parallel: boolean,
+        callback: (err: any, results: { cmd: string, result?: any, error?: any }[]) => void): void;
+    public callBatch(correlationId: string, commands: { cmd: string, params?: any }[], parallel: boolean = false,
+        callback?: (err: any, results: { cmd: string, result?: any, error?: any }[]) => void): any {
+        if (callback == null) {
+            return this.composePromise<any[]>((callback) => {
+                this.callBatch(correlationId, commands, parallel, callback);
+            });
+        }
+
+        let timing = this.instrument(correlationId, this._name + '.' + LambdaCommands.Batch);
+
+        super.callBatch(correlationId, commands, parallel, (err, results) => {
+            timing.endTiming();
+
+            if (callback) callback(err, results);
+        });
+    }
+
+    /**
+     * Calls remote actions in AWS Lambda function many times in separate concurrent invocations.
+     * Failures of individual calls are returned in the corresponding result entries.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param commands          a list of actions with their names and parameters.
+     * @param callback          (optional) callback function that receives a list of results or errors.
+     *                          When it is omitted the method returns a Promise.
+     */
+    public callMany(correlationId: string,
+        commands: { cmd: string, params?: any }[]): Promise<{ cmd: string, result?: any, error?: any }[]>;
+    public callMany(correlationId: string, commands: { cmd: string, params?: any }[],
+        callback: (err: any, results: { cmd: string, result?: any, error?: any }[]) => void): void;
+    public callMany(correlationId: string, commands: { cmd: string, params?: any }[],
+        callback?: (err: any, results: { cmd: string, result?: any, error?: any }[]) => void): any {
+        return super.callMany(correlationId, commands, callback);
+    }
+}
@@ -0,0 +1,200 @@
+/** @module clients */
+/** @hidden */
+let _ = require('lodash');
+
+import { IReferences } from 'pip-services3-commons-node';
+import { IdGenerator } from 'pip-services3-commons-node';
+import { ConnectionException } from 'pip-services3-commons-node';
+import { InvalidStateException } from 'pip-services3-commons-node';
+import { Descriptor } from 'pip-services3-commons-node';
+
+import { AwsConnectionParams } from '../connect/AwsConnectionParams';
+import { LambdaFunction } from '../container/LambdaFunction';
+import { CommandableLambdaClient } from './CommandableLambdaClient';
+
+/**
+ * Abstract client that calls [[LambdaFunction]] in the same process.
+ * It is used to test functions and their clients without AWS account or [[LambdaEmulatorService]].
+ *
+ * The client has the same API as [[CommandableLambdaClient]]. Instead of AWS SDK it passes invocations
+ * to the function handler. Parameters and results are serialized to JSON and back,
+ * and errors are converted the same way as for remote calls, so the client
+ * behaves as if it was connected to the deployed function.
+ *
+ * ### Configuration parameters ###
+ *
+ * - dependencies:
+ *     - function:                    override function descriptor
+ * - options:
+ *     - retries:                     (optional) number of retries for failed invocations (default: 3)
+ *     - max_concurrency:             (optional) maximum number of concurrent invocations made by callMany (default: 10)
+ *     - call_timeout:                (optional) timeout in milliseconds of each invocation made by callMany, 0 to disable (default: 0)
+ *
+ * ### References ###
+ *
+ * - <code>\*:logger:\*:\*:1.0</code>            (optional) [[https://pip-services3-node.github.io/pip-services3-components-node/interfaces/log.ilogger.html ILogger]] components to pass log messages
+ * - <code>\*:counters:\*:\*:1.0</code>          (optional) [[https://pip-services3-node.github.io/pip-services3-components-node/interfaces/count.icounters.html ICounters]] components to pass collected measurements
+ * - <code>\*:function:\*:\*:1.0</code>          [[LambdaFunction]] to be called, it must be opened before the client
+ *
+ * @see [[CommandableLambdaClient]]
+ * @see [[LambdaFunction]]
+ *
+ * ### Example ###
+ *
+ *     class MyDirectLambdaClient extends DirectLambdaClient implements IMyClient {
+ *         ...
+ *
+ *         public getData(correlationId: string, id: string,
+ *             callback: (err: any, result: MyData) => void): void {
+ *             this.callCommand("get_data", correlationId, { id: id }, callback);
+ *         }
+ *         ...
+ *     }
+ *
+ *     let client = new MyDirectLambdaClient("mydata");
+ *     client.setReferences(References.fromTuples(
+ *         new Descriptor("mygroup", "function", "default", "default", "1.0"), new MyLambdaFunction()
+ *     ));
+ *
+ *     client.getData("123", "1", (err, result) => {
+ *         ...
+ *     });
+ */
+export abstract class DirectLambdaClient extends CommandableLambdaClient {
+    /**
+     * The lambda function called by this client.
+     */
+    protected _function: LambdaFunction;
+
+    /**
+     * Creates a new instance of this client.
+     *
+     * @param name  (optional) a function name used in counters and ARN (default: "direct").
+     */
+    public constructor(name?: string) {
+        super(name || 'direct');
+        this._dependencyResolver.put('function', new Descriptor('*', 'function', '*', '*', '1.0'));
+    }
+
+    /**
+	 * Sets references to dependent components.
+	 *
+	 * @param references 	references to locate the component dependencies.
+     */
+    public setReferences(references: IReferences): void {
+        super.setReferences(references);
+        this._function = this._dependencyResolver.getOneRequired<LambdaFunction>('function');
+    }
+
+    /**
+	 * Opens the component.
+	 *
+	 * @param correlationId 	(optional) transaction id to trace execution through call chain.
+     * @param callback 			(optional) callback function that receives error or null no errors occured.
+     *                          When it is omitted the method returns a Promise.
+     */
+    public open(correlationId: string): Promise<void>;
+    public open(correlationId: string, callback: (err?: any) => void): void;
+    public open(correlationId: string, callback?: (err?: any) => void): any {
+        if (callback == null) {
+            return this.composePromise<void>((callback) => {
+                this.open(correlationId, callback);
+            });
+        }
+
+        if (this.isOpen()) {
+            callback();
+            return;
+        }
+
+        if (this._function == null) {
+            let err = new ConnectionException(correlationId, 'NO_FUNCTION', 'Lambda function reference is missing');
+            callback(err);
+            return;
+        }
+
+        // Closed functions would start themselves with process-wide handlers
+        if (!this._function.isOpen()) {
+            let err = new InvalidStateException(correlationId, 'FUNCTION_NOT_OPENED', 'Lambda function must be opened before the client');
+            callback(err);
+            return;
+        }
+
+        this._connection = new AwsConnectionParams({
+            service: 'lambda',
+            region: 'local',
+            account: '000000000000',
+            resource_type: 'function',
+            resource: this._name
+        });
+        this._lambda = {
+            invoke: (params, callback) => {
+                this.invokeFunction(params, callback);
+            }
+        };
+        this._opened = true;
+
+        this._logger.debug(correlationId, "Direct lambda client connected to %s", this._connection.getArn());
+        callback();
+    }
+
+    private invokeFunction(params: any, callback: (err: any, data: any) => void): void {
+        if (!this._function.isOpen()) {
+            callback(new InvalidStateException(null, 'FUNCTION_NOT_OPENED', 'Lambda function is not opened'), null);
+            return;
+        }
+
+        let requestId = IdGenerator.nextLong();
+        let event = JSON.parse(params.Payload);
+
+        let clientContext = null;
+        if (params.ClientContext != null)
+            clientContext = JSON.parse(Buffer.from(params.ClientContext, 'base64').toString('utf8'));
+
+        let context = {
+            functionName: this._name,
+            functionVersion: '$LATEST',
+            invokedFunctionArn: params.FunctionName + (params.Qualifier != null ? ':' + params.Qualifier : ''),
+            awsRequestId: requestId,
+            clientContext: clientContext
+        };
+
+        // Return the request id as AWS SDK v2 does
+        let respond = (data: any) => {
+            callback.call({ requestId: requestId }, null, data);
+        };
+
+        // Asynchronous invocations are acknowledged immediately
+        if (params.InvocationType == 'Event')
+            respond({ StatusCode: 202, ExecutedVersion: '$LATEST' });
+
+        this._function.getHandler()(event, context).then(
+            (result) => {
+                if (params.InvocationType == 'Event') return;
+
+                respond({
+                    StatusCode: 200,
+                    ExecutedVersion: '$LATEST',
+                    Payload: JSON.stringify(result != null ? result : null)
+                });
+            },
+            (err) => {
+                if (params.InvocationType == 'Event') {
+                    this._logger.error(event.correlation_id, err, 'Function %s failed', this._name);
+                    return;
+                }
+
+                respond({
+                    StatusCode: 200,
+                    ExecutedVersion: '$LATEST',
+                    FunctionError: 'Unhandled',
+                    Payload: JSON.stringify({
+                        errorType: err != null ? err.name || 'Error' : 'Error',
+                        errorMessage: err != null ? err.message : 'Unknown error',
+                        trace: err != null && _.isString(err.stack) ? err.stack.split('\n') : []
+                    })
+                });
+            }
+        );
+    }
+}
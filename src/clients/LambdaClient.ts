@@ -9,16 +9,26 @@ import { IConfigurable } from 'pip-services3-commons-node';
 import { IReferenceable } from 'pip-services3-commons-node';
 import { IReferences } from 'pip-services3-commons-node';
 import { ConfigParams } from 'pip-services3-commons-node';
+import { StringValueMap } from 'pip-services3-commons-node';
 import { IdGenerator } from 'pip-services3-commons-node';
 import { UnknownException } from 'pip-services3-commons-node';
 import { InvocationException } from 'pip-services3-commons-node';
+import { ConnectionException } from 'pip-services3-commons-node';
+import { ApplicationException } from 'pip-services3-commons-node';
+import { ApplicationExceptionFactory } from 'pip-services3-commons-node';
 import { DependencyResolver } from 'pip-services3-commons-node';
+import { Descriptor } from 'pip-services3-commons-node';
 import { CompositeLogger } from 'pip-services3-components-node';
 import { CompositeCounters } from 'pip-services3-components-node';
 import { CounterTiming } from 'pip-services3-components-node';
+import { ContextInfo } from 'pip-services3-components-node';
 
 import { AwsConnectionParams } from '../connect/AwsConnectionParams';
 import { AwsConnectionResolver } from '../connect/AwsConnectionResolver';
+import { AwsClientOptions } from '../connect/AwsClientOptions';
+import { AwsClientFactory } from '../connect/AwsClientFactory';
+import { LambdaCommands } from '../connect/LambdaCommands';
+import { CircuitBreaker } from './CircuitBreaker';
 
 /**
  * Abstract client that calls AWS Lambda Functions.
@@ -26,17 +36,72 @@ import { AwsConnectionResolver } from '../connect/AwsConnectionResolver';
  * When making calls "cmd" parameter determines which what action shall be called, while
  * other parameters are passed to the action itself.
  * 
+ * Invocations that were throttled, failed on the service side or timed out are retried
+ * with exponential backoff and jitter. One-way calls are not retried unless "retry_one_way"
+ * option is set. An optional circuit breaker fails calls fast after repeated failures
+ * and reports its state as "lambda.<function>.circuit_state" counter (0 - closed, 1 - half-open, 2 - open).
+ * 
+ * When "log_tail" option is set, the decoded tail of function log together with executed version,
+ * status code and request id are added to details of returned errors, or written to debug log
+ * for successful calls. When "client_context" option is set, the caller name and instance id
+ * from ContextInfo and correlation id are passed to the function in client context.
+ * 
+ * Protected [[callMany]] method invokes the function many times with different payloads
+ * limiting the number of concurrent invocations and the time of each call. It reports
+ * "lambda.<function>.calls" and "lambda.<function>.failures" counters.
+ * 
+ * Calls are routed to an alias or version of the function set by "connection.qualifier"
+ * or by a qualifier at the end of the function ARN. Protected [[callQualified]]
+ * and [[callOneWayQualified]] methods override the qualifier for individual calls.
+ * 
+ * Errors returned by [[LambdaFunction]] are restored as the original ApplicationException
+ * subtypes (NotFoundException, BadRequestException, ConflictException, etc.).
+ * 
  * ### Configuration parameters ###
  * 
  * - connections:                   
  *     - discovery_key:               (optional) a key to retrieve the connection from [[https://pip-services3-node.github.io/pip-services3-components-node/interfaces/connect.idiscovery.html IDiscovery]]
  *     - region:                      (optional) AWS region
+ *     - arn:                         (optional) AWS Lambda function ARN, optionally ending with alias or version
+ *     - function:                    (optional) AWS Lambda function name with optional alias or version when arn is not set
+ *     - account:                     (optional) AWS account of the function (default: taken from role_arn or STS)
+ *     - qualifier:                   (optional) alias or version of the function to invoke, i.e. "live" or "3"
+ *     - uri:                         (optional) custom endpoint, i.e. of [[LambdaEmulatorService]] or LocalStack,
+ *                                    or function URI, i.e. "aws://lambda/us-east-1/123456789012/my-function:live"
+ *     - host:                        (optional) host of custom endpoint when uri is not set
+ *     - port:                        (optional) port of custom endpoint
+ *     - ssl_enabled:                 (optional) false to disable TLS for custom endpoint (default: true)
+ *     - force_path_style:            (optional) true to use path-style addressing (default: false)
  * - credentials:    
  *     - store_key:                   (optional) a key to retrieve the credentials from [[https://pip-services3-node.github.io/pip-services3-components-node/interfaces/auth.icredentialstore.html ICredentialStore]]
- *     - access_id:                   AWS access/client id
- *     - access_key:                  AWS access/client id
+ *     - access_id:                   (optional) AWS access/client id
+ *     - access_key:                  (optional) AWS access/client key
+ *     - session_token:               (optional) AWS session token of temporary credentials
+ *     - profile:                     (optional) profile in shared credentials file (default: AWS_PROFILE or "default")
+ *     - role_arn:                    (optional) ARN of IAM role to assume with STS
+ *     - external_id:                 (optional) external id required to assume the role
+ *     - session_name:                (optional) name of the role session (default: "pip-services")
+ *     - sts_endpoint:                (optional) custom STS endpoint, i.e. of a stand-in service for testing
  * - options:
  *     - connect_timeout:             (optional) connection timeout in milliseconds (default: 10 sec)
+ *     - timeout:                     (optional) socket inactivity timeout in milliseconds (default: SDK default)
+ *     - proxy:                       (optional) URL of HTTP proxy to send requests through
+ *     - keep_alive:                  (optional) true to reuse connections (default: false)
+ *     - max_sockets:                 (optional) maximum number of sockets per host (default: unlimited)
+ *     - sdk_version:                 (optional) AWS SDK version to use: 2 or 3 (default: 3 when installed, otherwise 2)
+ *     - use_fips:                    (optional) true to use FIPS 140-2 endpoints (default: false)
+ *     - use_dualstack:               (optional) true to use dual-stack IPv4/IPv6 endpoints (default: false)
+ *     - retries:                     (optional) number of retries for throttled, failed or timed out invocations (default: 3)
+ *     - retry_timeout:               (optional) initial delay between retries in milliseconds, doubled on every attempt (default: 100)
+ *     - max_retry_timeout:           (optional) maximum delay between retries in milliseconds (default: 5 sec)
+ *     - retry_one_way:               (optional) true to retry one-way calls that are not idempotent (default: false)
+ *     - circuit_breaker:             (optional) true to fail fast after repeated failures (default: false)
+ *     - failure_threshold:           (optional) number of consecutive failures that opens the circuit (default: 5)
+ *     - reset_timeout:               (optional) time in milliseconds before a trial call is allowed (default: 30 sec)
+ *     - log_tail:                    (optional) true to request the tail of function log in synchronous calls (default: false)
+ *     - client_context:              (optional) true to pass caller identity and correlation id in client context (default: false)
+ *     - max_concurrency:             (optional) maximum number of concurrent invocations made by callMany (default: 10)
+ *     - call_timeout:                (optional) timeout in milliseconds of each invocation made by callMany, 0 to disable (default: 0)
  *  
  * ### References ###
  * 
@@ -44,6 +109,7 @@ import { AwsConnectionResolver } from '../connect/AwsConnectionResolver';
  * - <code>\*:counters:\*:\*:1.0</code>          (optional) [[https://pip-services3-node.github.io/pip-services3-components-node/interfaces/count.icounters.html ICounters]] components to pass collected measurements
  * - <code>\*:discovery:\*:\*:1.0</code>         (optional) [[https://pip-services3-node.github.io/pip-services3-components-node/interfaces/connect.idiscovery.html IDiscovery]] services to resolve connection
  * - <code>\*:credential-store:\*:\*:1.0</code>  (optional) Credential stores to resolve credentials
+ * - <code>\*:context-info:\*:\*:1.0</code>      (optional) [[https://pip-services3-node.github.io/pip-services3-components-node/classes/info.contextinfo.html ContextInfo]] to identify the caller in client context
  * 
  * @see [[LambdaFunction]]
  * @see [[CommandableLambdaClient]]
@@ -90,8 +156,25 @@ export abstract class LambdaClient implements IOpenable, IConfigurable, IReferen
      * The AWS connection parameters
      */
     protected _connection: AwsConnectionParams;
-    private _connectTimeout: number = 10000;
+    private _retries: number = 3;
+    private _retryTimeout: number = 100;
+    private _maxRetryTimeout: number = 5000;
+    private _retryOneWay: boolean = false;
+    private _logTail: boolean = false;
+    private _clientContext: boolean = false;
+    private _contextInfo: ContextInfo = null;
+    private _maxConcurrency: number = 10;
+    private _callTimeout: number = 0;
+
+    /**
+     * The circuit breaker or null when it is disabled.
+     */
+    protected _circuitBreaker: CircuitBreaker = null;
 
+    /**
+     * The AWS SDK client options.
+     */
+    protected _clientOptions: AwsClientOptions = new AwsClientOptions(10000);
     /**
      * The dependencies resolver.
      */
@@ -118,7 +201,22 @@ export abstract class LambdaClient implements IOpenable, IConfigurable, IReferen
         this._connectionResolver.configure(config);
 		this._dependencyResolver.configure(config);
 
-        this._connectTimeout = config.getAsIntegerWithDefault('options.connect_timeout', this._connectTimeout);
+        this._clientOptions.configure(config);
+        this._retries = config.getAsIntegerWithDefault('options.retries', this._retries);
+        this._retryTimeout = config.getAsIntegerWithDefault('options.retry_timeout', this._retryTimeout);
+        this._maxRetryTimeout = config.getAsIntegerWithDefault('options.max_retry_timeout', this._maxRetryTimeout);
+        this._retryOneWay = config.getAsBooleanWithDefault('options.retry_one_way', this._retryOneWay);
+        this._logTail = config.getAsBooleanWithDefault('options.log_tail', this._logTail);
+        this._clientContext = config.getAsBooleanWithDefault('options.client_context', this._clientContext);
+        this._maxConcurrency = config.getAsIntegerWithDefault('options.max_concurrency', this._maxConcurrency);
+        this._callTimeout = config.getAsIntegerWithDefault('options.call_timeout', this._callTimeout);
+
+        if (config.getAsBooleanWithDefault('options.circuit_breaker', false)) {
+            this._circuitBreaker = new CircuitBreaker(
+                config.getAsIntegerWithDefault('options.failure_threshold', 5),
+                config.getAsIntegerWithDefault('options.reset_timeout', 30000)
+            );
+        }
     }
 
     /**
@@ -131,6 +229,9 @@ export abstract class LambdaClient implements IOpenable, IConfigurable, IReferen
         this._counters.setReferences(references);
         this._connectionResolver.setReferences(references);
         this._dependencyResolver.setReferences(references);
+
+        this._contextInfo = references.getOneOptional<ContextInfo>(
+            new Descriptor("pip-services", "context-info", "*", "*", "1.0"));
     }
 
     /**
@@ -159,9 +260,18 @@ export abstract class LambdaClient implements IOpenable, IConfigurable, IReferen
 	 * Opens the component.
 	 * 
 	 * @param correlationId 	(optional) transaction id to trace execution through call chain.
-     * @param callback 			callback function that receives error or null no errors occured.
+     * @param callback 			(optional) callback function that receives error or null no errors occured.
+     *                          When it is omitted the method returns a Promise.
      */
-    public open(correlationId: string, callback: (err?: any) => void): void {
+    public open(correlationId: string): Promise<void>;
+    public open(correlationId: string, callback: (err?: any) => void): void;
+    public open(correlationId: string, callback?: (err?: any) => void): any {
+        if (callback == null) {
+            return this.composePromise<void>((callback) => {
+                this.open(correlationId, callback);
+            });
+        }
+
         if (this.isOpen()) {
             if (callback) callback();
             return;
@@ -175,19 +285,13 @@ export abstract class LambdaClient implements IOpenable, IConfigurable, IReferen
                 });
             },
             (callback) => {
-                let aws = require('aws-sdk');
-                
-                aws.config.update({
-                    accessKeyId: this._connection.getAccessId(),
-                    secretAccessKey: this._connection.getAccessKey(),
-                    region: this._connection.getRegion()
-                });
-
-                aws.config.httpOptions = {
-                    timeout: this._connectTimeout
-                };
-
-                this._lambda = new aws.Lambda();
+                try {
+                    // Retries are performed by the client itself
+                    this._lambda = AwsClientFactory.create('lambda', this._connection, this._clientOptions, { maxRetries: 0 });
+                } catch (ex) {
+                    callback(ex);
+                    return;
+                }
 
                 this._opened = true;
                 this._logger.debug(correlationId, "Lambda client connected to %s", this._connection.getArn());
@@ -201,12 +305,43 @@ export abstract class LambdaClient implements IOpenable, IConfigurable, IReferen
 	 * Closes component and frees used resources.
 	 * 
 	 * @param correlationId 	(optional) transaction id to trace execution through call chain.
-     * @param callback 			callback function that receives error or null no errors occured.
+     * @param callback 			(optional) callback function that receives error or null no errors occured.
+     *                          When it is omitted the method returns a Promise.
      */
-    public close(correlationId: string, callback?: (err?: any) => void): void {
+    public close(correlationId: string): Promise<void>;
+    public close(correlationId: string, callback: (err?: any) => void): void;
+    public close(correlationId: string, callback?: (err?: any) => void): any {
         // Todo: close listening?
+        if (this._lambda != null && _.isFunction(this._lambda.destroy))
+            this._lambda.destroy();
+        this._lambda = null;
         this._opened = false;
-        if (callback) callback();
+        if (callback == null) return Promise.resolve();
+        callback();
+    }
+
+    /**
+     * Composes a Promise for methods called without callback.
+     * Rejections of the Promise are marked as handled, so callers that do not wait for it,
+     * i.e. fire-and-forget calls, do not fail with unhandled rejection.
+     * Callers that wait for the Promise receive errors as usual.
+     * 
+     * @param action            an operation to be performed with callback.
+     * @returns a Promise that receives the operation result or error.
+     */
+    protected composePromise<T>(action: (callback: (err: any, result?: T) => void) => void): Promise<T> {
+        let promise = new Promise<T>((resolve, reject) => {
+            action((err, result) => {
+                if (err) reject(err);
+                else resolve(result);
+            });
+        });
+
+        promise.catch(() => {
+            // Errors are returned to callers that wait for them
+        });
+
+        return promise;
     }
 
     /**
@@ -217,9 +352,10 @@ export abstract class LambdaClient implements IOpenable, IConfigurable, IReferen
 	 * @param correlationId 	(optional) transaction id to trace execution through call chain.
      * @param args              action arguments
      * @param callback          callback function that receives action result or error.
+     * @param qualifier         (optional) alias or version of the function that overrides the configured qualifier.
      */
     protected invoke(invocationType: string, cmd: string, correlationId: string, args: any,
-        callback?: (err: any, result: any) => void): void {
+        callback?: (err: any, result: any) => void, qualifier?: string): void {
 
         if (cmd == null) {
             let err = new UnknownException(null, 'NO_COMMAND', 'Missing Seneca pattern cmd');
@@ -228,23 +364,43 @@ export abstract class LambdaClient implements IOpenable, IConfigurable, IReferen
             return;
         }
 
+        // Generated id is used to trace the call on both sides
+        correlationId = correlationId || IdGenerator.nextShort();
+
         args = _.clone(args);
         args.cmd = cmd;
-        args.correlation_id = correlationId || IdGenerator.nextShort();
+        args.correlation_id = correlationId;
 
-        let params = {
-            FunctionName: this._connection.getArn(),
+        let params: any = {
+            FunctionName: this._connection.getUnqualifiedArn(),
             InvocationType: invocationType,
-            LogType: 'None',
+            // Log tail is only returned for synchronous calls
+            LogType: this._logTail && invocationType == 'RequestResponse' ? 'Tail' : 'None',
             Payload: JSON.stringify(args)
         }                        
+
+        qualifier = qualifier || this._connection.getQualifier();
+        if (qualifier != null)
+            params.Qualifier = qualifier;
+
+        if (this._clientContext)
+            params.ClientContext = this.composeClientContext(args.correlation_id);
                         
-        this._lambda.invoke(params, (err, data) => {
+        let retries = invocationType != 'Event' || this._retryOneWay ? this._retries : 0;
+
+        this.invokeWithRetries(correlationId, params, retries, (err, data, requestId) => {
+            let metadata = this.getInvocationMetadata(err, data, requestId);
+
             if (callback == null) {
                 if (err) this._logger.error(correlationId, err, 'Failed to invoke lambda function');
                 return;
             }
             
+            if (err instanceof ApplicationException) {
+                callback(err, null);
+                return;
+            }
+
             if (err) {
                 err = new InvocationException(
                     correlationId, 
@@ -252,27 +408,255 @@ export abstract class LambdaClient implements IOpenable, IConfigurable, IReferen
                     'Failed to invoke lambda function'
                 ).withCause(err);
 
-                if (callback) callback(err, null);
-            } else {
-                let result: any = data.Payload;
-                if (_.isString(result)) {
-                    try {
-                        result = JSON.parse(result);
-                    } catch (err) {
-                        err = new InvocationException(
-                            correlationId,
-                            'DESERIALIZATION_FAILED',
-                            'Failed to deserialize result'
-                        ).withCause(err);
-
-                        callback(err, null);
-                    }
+                callback(this.addInvocationDetails(err, metadata), null);
+                return;
+            }
+
+            let result: any = data.Payload;
+            if (Buffer.isBuffer(result) || result instanceof Uint8Array)
+                result = Buffer.from(result).toString('utf8');
+            if (_.isString(result)) {
+                try {
+                    result = result != '' ? JSON.parse(result) : null;
+                } catch (ex) {
+                    err = new InvocationException(
+                        correlationId,
+                        'DESERIALIZATION_FAILED',
+                        'Failed to deserialize result'
+                    ).withCause(ex);
+
+                    callback(this.addInvocationDetails(err, metadata), null);
+                    return;
                 }
-                callback(null, result);
             }
+
+            if (data.FunctionError) {
+                err = this.composeFunctionError(correlationId, data.FunctionError, result);
+                callback(this.addInvocationDetails(err, metadata), null);
+                return;
+            }
+
+            if (metadata.log_tail != null) {
+                this._logger.debug(correlationId, "Lambda function %s responded with status %s, version %s, request id %s:\n%s",
+                    params.FunctionName, metadata.status_code, metadata.executed_version, metadata.request_id, metadata.log_tail);
+            }
+
+            callback(null, result);
         });
     }    
 
+    /**
+     * Checks if a failed invocation can be retried.
+     * Retried are throttled requests, service errors and timeouts.
+     * 
+     * @param err   an error returned by AWS SDK.
+     * @returns true if the invocation can be retried and false otherwise.
+     */
+    protected isRetryable(err: any): boolean {
+        if (err == null) return false;
+        if (err.retryable === true) return true;
+
+        let code = err.code || err.name;
+        if (_.includes([
+            'TooManyRequestsException', 'ThrottlingException', 'Throttling', 'RequestLimitExceeded',
+            'ServiceException', 'ServiceUnavailableException', 'EC2ThrottledException',
+            'TimeoutError', 'RequestTimeout', 'RequestTimeoutException', 'NetworkingError',
+            'ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EPIPE'
+        ], code))
+            return true;
+
+        let status = err.statusCode || (err.$metadata != null ? err.$metadata.httpStatusCode : null);
+        return status == 429 || status >= 500;
+    }
+
+    private getRetryTimeout(attempt: number): number {
+        let timeout = Math.min(this._retryTimeout * Math.pow(2, attempt - 1), this._maxRetryTimeout);
+        // Add jitter to spread retries from concurrent callers
+        return Math.round(timeout / 2 + Math.random() * timeout / 2);
+    }
+
+    private getCounterName(): string {
+        return 'lambda.' + (this._connection != null ? this._connection.getResource() : null);
+    }
+
+    private updateCircuit(correlationId: string, err: any): void {
+        if (this._circuitBreaker == null) return;
+
+        let state = this._circuitBreaker.getState();
+        if (err == null) this._circuitBreaker.recordSuccess();
+        else this._circuitBreaker.recordFailure();
+        let newState = this._circuitBreaker.getState();
+
+        if (newState != state) {
+            this._counters.last(this.getCounterName() + '.circuit_state', newState == CircuitBreaker.Open ? 2 : 0);
+            if (newState == CircuitBreaker.Open)
+                this._logger.warn(correlationId, 'Circuit breaker opened for lambda function %s', this._connection.getArn());
+            else
+                this._logger.info(correlationId, 'Circuit breaker closed for lambda function %s', this._connection.getArn());
+        }
+    }
+
+    private composeClientContext(correlationId: string): string {
+        let name = this._contextInfo != null ? this._contextInfo.name : null;
+        let contextId = this._contextInfo != null ? this._contextInfo.contextId : null;
+
+        let context = {
+            client: {
+                app_title: name,
+                installation_id: contextId
+            },
+            custom: {
+                caller: name,
+                correlation_id: correlationId
+            }
+        };
+
+        return Buffer.from(JSON.stringify(context), 'utf8').toString('base64');
+    }
+
+    private getInvocationMetadata(err: any, data: any, requestId: string): any {
+        let metadata: any = {};
+
+        let $metadata = (data != null ? data.$metadata : null) || (err != null ? err.$metadata : null);
+        metadata.request_id = requestId || (err != null ? err.requestId : null)
+            || ($metadata != null ? $metadata.requestId : null);
+        metadata.status_code = (data != null ? data.StatusCode : null) || (err != null ? err.statusCode : null);
+        metadata.executed_version = data != null ? data.ExecutedVersion : null;
+
+        let logResult = data != null ? data.LogResult : null;
+        metadata.log_tail = logResult != null ? Buffer.from(logResult, 'base64').toString('utf8') : null;
+
+        return metadata;
+    }
+
+    private addInvocationDetails(err: any, metadata: any): any {
+        if (err instanceof ApplicationException) {
+            for (let key of _.keys(metadata)) {
+                if (metadata[key] != null)
+                    err.withDetails(key, metadata[key]);
+            }
+        }
+        return err;
+    }
+
+    private invokeWithRetries(correlationId: string, params: any, retries: number,
+        callback: (err: any, data: any, requestId?: string) => void): void {
+        let self = this;
+        let attempt = 0;
+
+        let tryInvoke = () => {
+            // The client can be closed while waiting for retry
+            if (this._lambda == null) {
+                let err = new ConnectionException(
+                    correlationId,
+                    'NOT_OPENED',
+                    'Lambda client is not opened'
+                ).withDetails('function', params.FunctionName);
+
+                callback(err, null);
+                return;
+            }
+
+            if (this._circuitBreaker != null) {
+                let state = this._circuitBreaker.getState();
+                this._counters.last(this.getCounterName() + '.circuit_state',
+                    state == CircuitBreaker.Open ? 2 : state == CircuitBreaker.HalfOpen ? 1 : 0);
+
+                if (state == CircuitBreaker.Open) {
+                    this._counters.incrementOne(this.getCounterName() + '.circuit_rejected');
+
+                    let err = new ConnectionException(
+                        correlationId,
+                        'CIRCUIT_OPEN',
+                        'Circuit breaker is open for lambda function ' + params.FunctionName
+                    ).withDetails('function', params.FunctionName);
+
+                    callback(err, null);
+                    return;
+                }
+            }
+
+            this._lambda.invoke(params, function (err, data) {
+                // AWS SDK v2 passes the response with request id as this
+                let requestId = this != null ? this.requestId : null;
+
+                if (err != null && attempt < retries && self.isRetryable(err)) {
+                    attempt++;
+                    let timeout = self.getRetryTimeout(attempt);
+
+                    self._counters.incrementOne(self.getCounterName() + '.retries');
+                    self._logger.warn(correlationId, 'Retrying invocation of lambda function %s (attempt %d of %d) in %d ms after error: %s',
+                        params.FunctionName, attempt, retries, timeout, err.code || err.message);
+
+                    setTimeout(tryInvoke, timeout);
+                    return;
+                }
+
+                self.updateCircuit(correlationId, err);
+                callback(err, data, requestId);
+            });
+        };
+
+        tryInvoke();
+    }
+
+    /**
+     * Restores an application exception from ErrorDescription
+     * returned by [[LambdaFunction]].
+     * 
+     * @param description   a serialized error description.
+     * @returns a restored application exception.
+     */
+    protected restoreError(description: any): any {
+        let err: any = ApplicationExceptionFactory.create(description);
+        // Restore details as a map to allow adding more details
+        if (description.details != null)
+            err.details = StringValueMap.fromValue(description.details);
+        // Keep the original status, i.e. 504 for timeouts
+        if (description.status != null)
+            err.status = description.status;
+        return err;
+    }
+
+    private isErrorDescription(value: any): boolean {
+        return _.isObject(value) && value.category != null && value.code != null;
+    }
+
+    /**
+     * Composes an error from a failed AWS Lambda Function response.
+     * When the function returned ErrorDescription directly or serialized in "errorMessage"
+     * the original ApplicationException subtype is restored. Otherwise the error
+     * is reported as InvocationException with FUNCTION_ERROR code.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param functionError     a type of function error: "Handled" or "Unhandled".
+     * @param payload           a deserialized response payload.
+     * @returns an error to be returned to the caller.
+     */
+    protected composeFunctionError(correlationId: string, functionError: string, payload: any): any {
+        if (this.isErrorDescription(payload))
+            return this.restoreError(payload);
+
+        let errorMessage = payload != null ? payload.errorMessage : null;
+        if (_.isString(errorMessage)) {
+            try {
+                let description = JSON.parse(errorMessage);
+                if (this.isErrorDescription(description))
+                    return this.restoreError(description);
+            } catch (ex) {
+                // Not an error description
+            }
+        }
+
+        return new InvocationException(
+            correlationId,
+            'FUNCTION_ERROR',
+            errorMessage || 'Lambda function failed'
+        )
+        .withDetails('function_error', functionError)
+        .withDetails('error_type', payload != null ? payload.errorType : null);
+    }
+
     /**
      * Calls a AWS Lambda Function action.
      * 
@@ -280,9 +664,19 @@ export abstract class LambdaClient implements IOpenable, IConfigurable, IReferen
      * @param correlationId     (optional) transaction id to trace execution through call chain.
      * @param params            (optional) action parameters.
      * @param callback          (optional) callback function that receives result object or error.
+     *                          When it is omitted the method returns a Promise.
      */
-    protected call(cmd: string, correlationId: string, params: any = {},
-        callback?: (err: any, result: any) => void): void {
+    protected call<T = any>(cmd: string, correlationId: string, params?: any): Promise<T>;
+    protected call<T = any>(cmd: string, correlationId: string, params: any,
+        callback: (err: any, result: T) => void): void;
+    protected call<T = any>(cmd: string, correlationId: string, params: any = {},
+        callback?: (err: any, result: T) => void): any {
+        if (callback == null) {
+            return this.composePromise<T>((callback) => {
+                this.invoke('RequestResponse', cmd, correlationId, params, callback);
+            });
+        }
+
         this.invoke('RequestResponse', cmd, correlationId, params, callback);
     }
 
@@ -293,10 +687,197 @@ export abstract class LambdaClient implements IOpenable, IConfigurable, IReferen
      * @param correlationId     (optional) transaction id to trace execution through call chain.
      * @param params            (optional) action parameters.
      * @param callback          (optional) callback function that receives error or null for success.
+     *                          When it is omitted the method returns a Promise and logs errors,
+     *                          so it can be called without waiting for the result.
      */
+    protected callOneWay(cmd: string, correlationId: string, params?: any): Promise<void>;
+    protected callOneWay(cmd: string, correlationId: string, params: any,
+        callback: (err: any) => void): void;
     protected callOneWay(cmd: string, correlationId: string, params: any = {},
-        callback?: (err: any) => void): void {
+        callback?: (err: any) => void): any {
+        if (callback == null) {
+            return this.composePromise<void>((callback) => {
+                this.invoke('Event', cmd, correlationId, params, callback);
+            });
+        }
+
         this.invoke('Event', cmd, correlationId, params, callback);
     }
 
-}
\ No newline at end of file
+    /**
+     * Calls a specific alias or version of AWS Lambda Function action.
+     * 
+     * @param qualifier         an alias or version of the function, i.e. "canary" or "3".
+     * @param cmd               an action name to be called.
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param params            (optional) action parameters.
+     * @param callback          (optional) callback function that receives result object or error.
+     *                          When it is omitted the method returns a Promise.
+     */
+    protected callQualified<T = any>(qualifier: string, cmd: string, correlationId: string, params?: any): Promise<T>;
+    protected callQualified<T = any>(qualifier: string, cmd: string, correlationId: string, params: any,
+        callback: (err: any, result: T) => void): void;
+    protected callQualified<T = any>(qualifier: string, cmd: string, correlationId: string, params: any = {},
+        callback?: (err: any, result: T) => void): any {
+        if (callback == null) {
+            return this.composePromise<T>((callback) => {
+                this.invoke('RequestResponse', cmd, correlationId, params, callback, qualifier);
+            });
+        }
+
+        this.invoke('RequestResponse', cmd, correlationId, params, callback, qualifier);
+    }
+
+    /**
+     * Calls a specific alias or version of AWS Lambda Function action
+     * asynchronously without waiting for response.
+     * 
+     * @param qualifier         an alias or version of the function, i.e. "canary" or "3".
+     * @param cmd               an action name to be called.
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param params            (optional) action parameters.
+     * @param callback          (optional) callback function that receives error or null for success.
+     *                          When it is omitted the method returns a Promise and logs errors,
+     *                          so it can be called without waiting for the result.
+     */
+    protected callOneWayQualified(qualifier: string, cmd: string, correlationId: string, params?: any): Promise<void>;
+    protected callOneWayQualified(qualifier: string, cmd: string, correlationId: string, params: any,
+        callback: (err: any) => void): void;
+    protected callOneWayQualified(qualifier: string, cmd: string, correlationId: string, params: any = {},
+        callback?: (err: any) => void): any {
+        if (callback == null) {
+            return this.composePromise<void>((callback) => {
+                this.invoke('Event', cmd, correlationId, params, callback, qualifier);
+            });
+        }
+
+        this.invoke('Event', cmd, correlationId, params, callback, qualifier);
+    }
+
+    private invokeWithTimeout(cmd: string, correlationId: string, params: any,
+        callback: (err: any, result: any) => void): void {
+        if (this._callTimeout <= 0) {
+            this.invoke('RequestResponse', cmd, correlationId, params, callback);
+            return;
+        }
+
+        // The invocation keeps running, only its result is discarded
+        let timer = setTimeout(() => {
+            timer = null;
+            let err = new InvocationException(
+                correlationId,
+                'CALL_TIMEOUT',
+                'Call ' + cmd + ' of lambda function timed out after ' + this._callTimeout + ' ms'
+            ).withDetails('cmd', cmd).withDetails('timeout', this._callTimeout);
+            callback(err, null);
+        }, this._callTimeout);
+
+        this.invoke('RequestResponse', cmd, correlationId, params, (err, result) => {
+            if (timer == null) return;
+            clearTimeout(timer);
+            timer = null;
+            callback(err, result);
+        });
+    }
+
+    /**
+     * Calls AWS Lambda Function actions many times with different parameters in separate invocations.
+     * The number of concurrent invocations is limited by "max_concurrency" option
+     * and each invocation fails with CALL_TIMEOUT error when it takes longer than "call_timeout".
+     * Failures of individual calls do not fail the entire operation, they are
+     * returned as errors in the corresponding result entries.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param commands          a list of actions with their names and parameters.
+     * @param callback          (optional) callback function that receives a list of results or errors
+     *                          in the same order as the actions.
+     *                          When it is omitted the method returns a Promise.
+     */
+    protected callMany(correlationId: string,
+        commands: { cmd: string, params?: any }[]): Promise<{ cmd: string, result?: any, error?: any }[]>;
+    protected callMany(correlationId: string, commands: { cmd: string, params?: any }[],
+        callback: (err: any, results: { cmd: string, result?: any, error?: any }[]) => void): void;
+    protected callMany(correlationId: string, commands: { cmd: string, params?: any }[],
+        callback?: (err: any, results: { cmd: string, result?: any, error?: any }[]) => void): any {
+        if (callback == null) {
+            return this.composePromise<any[]>((callback) => {
+                this.callMany(correlationId, commands, callback);
+            });
+        }
+
+        commands = commands || [];
+        let results: { cmd: string, result?: any, error?: any }[] = new Array(commands.length);
+        let failures = 0;
+        let timing = this.instrument(correlationId, this.getCounterName() + '.call_many');
+
+        async.eachOfLimit(commands, Math.max(this._maxConcurrency, 1), (command, index, callback) => {
+            let cmd = command != null ? command.cmd : null;
+            let params = command != null ? command.params || {} : {};
+
+            this.invokeWithTimeout(cmd, correlationId, params, (err, result) => {
+                if (err) {
+                    failures++;
+                    results[index] = { cmd: cmd, error: err };
+                } else {
+                    results[index] = { cmd: cmd, result: result };
+                }
+                callback();
+            });
+        }, (err) => {
+            timing.endTiming();
+
+            this._counters.increment(this.getCounterName() + '.calls', commands.length);
+            if (failures > 0)
+                this._counters.increment(this.getCounterName() + '.failures', failures);
+
+            callback(err, err == null ? results : null);
+        });
+    }
+
+    /**
+     * Calls several AWS Lambda Function actions in a single invocation.
+     * The actions are executed by the function sequentially or in parallel.
+     * Failures of individual actions do not fail the entire batch, they are
+     * returned as errors in the corresponding result entries.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param commands          a list of actions with their names and parameters.
+     * @param parallel          true to execute the actions in parallel and false to execute them sequentially.
+     * @param callback          (optional) callback function that receives a list of results or errors in the same order
+     *                          as the actions, or an error when the entire call failed.
+     *                          When it is omitted the method returns a Promise.
+     */
+    protected callBatch(correlationId: string, commands: { cmd: string, params?: any }[],
+        parallel?: boolean): Promise<{ cmd: string, result?: any, error?: any }[]>;
+    protected callBatch(correlationId: string, commands: { cmd: string, params?: any }[], parallel: boolean,
+        callback: (err: any, results: { cmd: string, result?: any, error?: any }[]) => void): void;
+    protected callBatch(correlationId: string, commands: { cmd: string, params?: any }[], parallel: boolean = false,
+        callback?: (err: any, results: { cmd: string, result?: any, error?: any }[]) => void): any {
+        if (callback == null) {
+            return this.composePromise<any[]>((callback) => {
+                this.callBatch(correlationId, commands, parallel, callback);
+            });
+        }
+
+        let params = {
+            commands: commands,
+            parallel: parallel
+        };
+
+        this.invoke('RequestResponse', LambdaCommands.Batch, correlationId, params, (err, results) => {
+            if (err) {
+                callback(err, null);
+                return;
+            }
+
+            results = _.map(results, (item) => {
+                if (item != null && item.error != null)
+                    return { cmd: item.cmd, error: this.restoreError(item.error) };
+                return item;
+            });
+
+            callback(null, results);
+        });
+    }
+
+}
@@ -1,3 +1,5 @@
 /** @module clients */
 export { LambdaClient } from './LambdaClient';
 export { CommandableLambdaClient } from './CommandableLambdaClient';
+export { CircuitBreaker } from './CircuitBreaker';
+export { DirectLambdaClient } from './DirectLambdaClient';
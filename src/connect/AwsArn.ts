@@ -0,0 +1,362 @@
+/** @module connect */
+import { ConfigException } from 'pip-services3-commons-node';
+
+/**
+ * Amazon Resource Name (ARN) that uniquely identifies AWS resources.
+ *
+ * The ARN has the following format: <code>arn:partition:service:region:account:resource-part</code>,
+ * where resource part can be in one of the following layouts:
+ * - <code>resource</code>, i.e. <code>arn:aws:s3:::my-bucket</code>
+ * - <code>type/resource</code>, i.e. <code>arn:aws:iam::123456789012:role/my-role</code>
+ * - <code>type:resource</code>, i.e. <code>arn:aws:lambda:us-east-1:123456789012:function:my-function</code>
+ * - <code>type:resource:qualifier</code>, i.e. <code>arn:aws:lambda:us-east-1:123456789012:function:my-function:live</code>
+ *
+ * Resources that contain colons after the resource name, like log streams
+ * <code>log-group:my-group:log-stream:my-stream</code>, keep the rest in the qualifier,
+ * so the ARN is formatted back without changes.
+ *
+ * The partition must agree with the region, i.e. China regions belong to "aws-cn"
+ * and GovCloud regions belong to "aws-us-gov" partition.
+ *
+ * ARNs can also be parsed from compact resource URIs, i.e. <code>aws://lambda/us-east-1/123456789012/my-function:live</code>.
+ *
+ * ### Example ###
+ *
+ *     let arn = AwsArn.fromString("arn:aws:lambda:us-east-1:123456789012:function:my-function:live");
+ *
+ *     arn.getService();            // Result: "lambda"
+ *     arn.getResourceType();       // Result: "function"
+ *     arn.getResource();           // Result: "my-function"
+ *     arn.getQualifier();          // Result: "live"
+ *     arn.withQualifier("3").toString();   // Result: "arn:aws:lambda:us-east-1:123456789012:function:my-function:3"
+ */
+export class AwsArn {
+    private _partition: string;
+    private _service: string;
+    private _region: string;
+    private _account: string;
+    private _resourceType: string;
+    private _resource: string;
+    private _qualifier: string;
+    private _separator: string;
+
+    /**
+     * Creates a new instance of the ARN.
+     *
+     * @param partition     an AWS partition, i.e. "aws", "aws-cn" or "aws-us-gov".
+     * @param service       an AWS service, i.e. "lambda".
+     * @param region        (optional) an AWS region, i.e. "us-east-1".
+     * @param account       (optional) an AWS account id.
+     * @param resourceType  (optional) a resource type, i.e. "function".
+     * @param resource      a resource id or name.
+     * @param qualifier     (optional) a resource qualifier, i.e. alias or version of Lambda function.
+     * @param separator     (optional) a separator between resource type and resource: ":" or "/" (default: ":").
+     */
+    public constructor(partition: string, service: string, region: string, account: string,
+        resourceType: string, resource: string, qualifier: string = null, separator: string = ":") {
+        this._partition = partition || "";
+        this._service = service || "";
+        this._region = region || "";
+        this._account = account || "";
+        this._resourceType = resourceType || null;
+        this._resource = resource || "";
+        this._qualifier = qualifier != null ? qualifier : null;
+        this._separator = separator == "/" ? "/" : ":";
+    }
+
+    /**
+     * Gets the AWS partition.
+     *
+     * @returns the AWS partition.
+     */
+    public getPartition(): string {
+        return this._partition;
+    }
+
+    /**
+     * Gets the AWS service.
+     *
+     * @returns the AWS service.
+     */
+    public getService(): string {
+        return this._service;
+    }
+
+    /**
+     * Gets the AWS region.
+     *
+     * @returns the AWS region or empty string for global resources.
+     */
+    public getRegion(): string {
+        return this._region;
+    }
+
+    /**
+     * Gets the AWS account id.
+     *
+     * @returns the AWS account id or empty string when it is not used.
+     */
+    public getAccount(): string {
+        return this._account;
+    }
+
+    /**
+     * Gets the resource type.
+     *
+     * @returns the resource type or null when it is not set.
+     */
+    public getResourceType(): string {
+        return this._resourceType;
+    }
+
+    /**
+     * Gets the resource id or name.
+     *
+     * @returns the resource id or name.
+     */
+    public getResource(): string {
+        return this._resource;
+    }
+
+    /**
+     * Gets the resource qualifier.
+     *
+     * @returns the resource qualifier or null when it is not set.
+     */
+    public getQualifier(): string {
+        return this._qualifier;
+    }
+
+    /**
+     * Gets the separator between resource type and resource.
+     *
+     * @returns ":" or "/".
+     */
+    public getSeparator(): string {
+        return this._separator;
+    }
+
+    /**
+     * Checks if the ARN can have a qualifier.
+     * Qualifiers are only used with <code>type:resource</code> layout.
+     *
+     * @returns true if the ARN can have a qualifier and false otherwise.
+     */
+    public isQualifiable(): boolean {
+        return this._resourceType != null && this._separator == ":";
+    }
+
+    /**
+     * Creates a copy of this ARN with a different qualifier.
+     * The qualifier is ignored when the ARN cannot be qualified.
+     *
+     * @param qualifier     a new qualifier or null to remove it.
+     * @returns a new ARN with the qualifier.
+     */
+    public withQualifier(qualifier: string): AwsArn {
+        return new AwsArn(
+            this._partition, this._service, this._region, this._account,
+            this._resourceType, this._resource,
+            this.isQualifiable() ? qualifier : null, this._separator
+        );
+    }
+
+    /**
+     * Validates format of this ARN.
+     *
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @returns a ConfigException or null if validation passed successfully.
+     */
+    public validate(correlationId: string): ConfigException {
+        let arn = this.toString();
+
+        if (!/^aws(-[a-z]+)*$/.test(this._partition)) {
+            return new ConfigException(
+                correlationId,
+                "INVALID_ARN_PARTITION",
+                "AWS partition " + this._partition + " in ARN " + arn + " is invalid"
+            ).withDetails("arn", arn).withDetails("partition", this._partition);
+        }
+
+        if (!/^[a-z0-9][a-z0-9\-]*$/.test(this._service)) {
+            return new ConfigException(
+                correlationId,
+                "INVALID_ARN_SERVICE",
+                "AWS service " + this._service + " in ARN " + arn + " is invalid"
+            ).withDetails("arn", arn).withDetails("service", this._service);
+        }
+
+        if (this._region != "" && !/^[a-z]{2}(-[a-z]+)+-\d+$/.test(this._region)) {
+            return new ConfigException(
+                correlationId,
+                "INVALID_ARN_REGION",
+                "AWS region " + this._region + " in ARN " + arn + " is invalid"
+            ).withDetails("arn", arn).withDetails("region", this._region);
+        }
+
+        let partition = AwsArn.getRegionPartition(this._region);
+        if (this._region != "" && this._partition != partition) {
+            return new ConfigException(
+                correlationId,
+                "PARTITION_MISMATCH",
+                "AWS region " + this._region + " in ARN " + arn + " belongs to partition " + partition
+            ).withDetails("arn", arn).withDetails("partition", this._partition).withDetails("region", this._region);
+        }
+
+        // Managed resources use "aws" instead of account id
+        if (this._account != "" && this._account != "aws" && !/^\d{12}$/.test(this._account)) {
+            return new ConfigException(
+                correlationId,
+                "INVALID_ARN_ACCOUNT",
+                "AWS account " + this._account + " in ARN " + arn + " is invalid"
+            ).withDetails("arn", arn).withDetails("account", this._account);
+        }
+
+        if (this._resource == "") {
+            return new ConfigException(
+                correlationId,
+                "NO_ARN_RESOURCE",
+                "Resource is missing in ARN " + arn
+            ).withDetails("arn", arn);
+        }
+
+        if (this._qualifier != null && (this._qualifier == "" || !this.isQualifiable())) {
+            return new ConfigException(
+                correlationId,
+                "INVALID_ARN_QUALIFIER",
+                "Qualifier in ARN " + arn + " is invalid"
+            ).withDetails("arn", arn).withDetails("qualifier", this._qualifier);
+        }
+
+        return null;
+    }
+
+    /**
+     * Gets a string representation of the ARN.
+     *
+     * @returns the ARN as a string.
+     */
+    public toString(): string {
+        let result = "arn:" + this._partition + ":" + this._service
+            + ":" + this._region + ":" + this._account + ":";
+
+        if (this._resourceType != null)
+            result += this._resourceType + this._separator;
+        result += this._resource;
+
+        if (this._qualifier != null && this.isQualifiable())
+            result += ":" + this._qualifier;
+
+        return result;
+    }
+
+    /**
+     * Parses ARN from its string representation.
+     *
+     * @param value     an ARN as a string.
+     * @returns a parsed ARN or null when the value is empty.
+     * @throws a ConfigException when the value is not in ARN format.
+     */
+    public static fromString(value: string): AwsArn {
+        if (value == null || value.length == 0)
+            return null;
+
+        let tokens = value.split(":");
+        if (tokens[0] != "arn" || tokens.length < 6) {
+            throw new ConfigException(
+                null, "INVALID_ARN", "ARN " + value + " is in wrong format"
+            ).withDetails("arn", value);
+        }
+
+        let resourceType: string = null;
+        let resource: string;
+        let qualifier: string = null;
+        let separator = ":";
+
+        let pos = tokens[5].indexOf("/");
+        if (pos > 0) {
+            // Layout: type/resource
+            let temp = tokens.slice(5).join(":");
+            resourceType = temp.substring(0, pos);
+            resource = temp.substring(pos + 1);
+            separator = "/";
+        } else if (tokens.length > 6) {
+            // Layout: type:resource[:qualifier]
+            resourceType = tokens[5];
+            resource = tokens[6];
+            if (tokens.length > 7)
+                qualifier = tokens.slice(7).join(":");
+        } else {
+            // Layout: resource
+            resource = tokens[5];
+        }
+
+        return new AwsArn(tokens[1], tokens[2], tokens[3], tokens[4], resourceType, resource, qualifier, separator);
+    }
+
+    /**
+     * Gets AWS partition of the region, i.e. "aws-cn" for China regions
+     * or "aws-us-gov" for GovCloud regions.
+     *
+     * @param region    an AWS region.
+     * @returns the AWS partition that contains the region (default: "aws").
+     */
+    public static getRegionPartition(region: string): string {
+        region = region || "";
+
+        if (region.indexOf("cn-") == 0) return "aws-cn";
+        if (region.indexOf("us-gov-") == 0) return "aws-us-gov";
+        if (region.indexOf("us-isob-") == 0) return "aws-iso-b";
+        if (region.indexOf("us-iso-") == 0) return "aws-iso";
+
+        return "aws";
+    }
+
+    /**
+     * Checks if the value is a compact AWS resource URI that starts with "aws://".
+     *
+     * @param value     a value to be checked.
+     * @returns true if the value is AWS resource URI and false otherwise.
+     */
+    public static isUri(value: string): boolean {
+        return value != null && value.indexOf("aws://") == 0;
+    }
+
+    /**
+     * Parses ARN from a compact AWS resource URI:
+     * <code>aws://service/region/account/[type/]resource[:qualifier]</code>,
+     * i.e. <code>aws://lambda/us-east-1/123456789012/my-function:live</code>.
+     * Resource type of Lambda functions can be omitted.
+     *
+     * @param value     an AWS resource URI.
+     * @returns a parsed ARN or null when the value is empty.
+     * @throws a ConfigException when the value is not in AWS resource URI format.
+     */
+    public static fromUri(value: string): AwsArn {
+        if (value == null || value.length == 0)
+            return null;
+
+        let tokens = AwsArn.isUri(value) ? value.substring("aws://".length).split("/") : [];
+        if (tokens.length < 4 || tokens[0] == "" || tokens[tokens.length - 1] == "") {
+            throw new ConfigException(
+                null, "INVALID_AWS_URI", "AWS resource URI " + value + " is in wrong format"
+            ).withDetails("uri", value);
+        }
+
+        let resourceType: string = tokens.length > 4 ? tokens[3] : null;
+        let resource = tokens.slice(tokens.length > 4 ? 4 : 3).join("/");
+        let qualifier: string = null;
+
+        if (resourceType == null && tokens[0] == "lambda")
+            resourceType = "function";
+
+        let pos = resource.indexOf(":");
+        if (resourceType != null && pos > 0) {
+            qualifier = resource.substring(pos + 1);
+            resource = resource.substring(0, pos);
+        }
+
+        let partition = AwsArn.getRegionPartition(tokens[1]);
+        return new AwsArn(partition, tokens[0], tokens[1], tokens[2], resourceType, resource, qualifier);
+    }
+}
@@ -0,0 +1,181 @@
+/** @module connect */
+/** @hidden */
+let _ = require('lodash');
+
+import { ConnectionException } from 'pip-services3-commons-node';
+
+import { AwsConnectionParams } from './AwsConnectionParams';
+import { AwsClientOptions } from './AwsClientOptions';
+import { AwsClientFactory } from './AwsClientFactory';
+
+/**
+ * Provider of temporary AWS credentials obtained by assuming IAM role with STS.
+ *
+ * The role is assumed using credentials set in the connection, or credentials
+ * resolved by AWS SDK when they are not set. Temporary credentials are cached
+ * and refreshed before they expire. Concurrent requests wait for the same STS call.
+ *
+ * Providers are shared by all components connected with the same role and credentials,
+ * so [[LambdaClient]], [[CloudWatchLogger]] and [[CloudWatchCounters]] reuse
+ * the same temporary credentials. [[AwsClientOptions]] passes them to AWS SDK clients
+ * as refreshable credentials.
+ *
+ * @see [[AwsConnectionParams]]
+ * @see [[AwsClientOptions]]
+ *
+ * ### Example ###
+ *
+ *     let connection = new AwsConnectionParams({
+ *         region: "us-east-1",
+ *         role_arn: "arn:aws:iam::123456789012:role/my-role",
+ *         external_id: "XXXXXXXXXX"
+ *     });
+ *
+ *     let provider = AwsAssumeRoleProvider.getProvider(connection, new AwsClientOptions());
+ *     provider.getCredentials("123", (err, credentials) => {
+ *         // credentials.accessKeyId, credentials.secretAccessKey, credentials.sessionToken, credentials.expiration
+ *     });
+ */
+export class AwsAssumeRoleProvider {
+    private static _providers: { [key: string]: AwsAssumeRoleProvider } = {};
+
+    private _connection: AwsConnectionParams;
+    private _clientOptions: AwsClientOptions;
+    private _refreshWindow: number;
+    private _credentials: any = null;
+    private _callbacks: ((err: any, credentials: any) => void)[] = null;
+
+    /**
+     * Creates a new instance of the provider.
+     *
+     * @param connection        AWS connection parameters with IAM role and credentials to assume it.
+     * @param clientOptions     AWS SDK client options to call STS.
+     * @param refreshWindow     (optional) time in milliseconds before expiration to refresh credentials (default: 5 mins).
+     */
+    public constructor(connection: AwsConnectionParams, clientOptions: AwsClientOptions,
+        refreshWindow: number = 300000) {
+        this._connection = connection;
+        this._clientOptions = clientOptions;
+        this._refreshWindow = refreshWindow;
+    }
+
+    private static getKey(connection: AwsConnectionParams): string {
+        return [
+            connection.getRoleArn(), connection.getExternalId(), connection.getSessionName(),
+            connection.getAccessId(), connection.getSessionToken(), connection.getProfile(),
+            connection.getRegion(), connection.getStsEndpoint()
+        ].join('|');
+    }
+
+    /**
+     * Gets a shared provider for IAM role and credentials set in the connection.
+     *
+     * @param connection        AWS connection parameters with IAM role and credentials to assume it.
+     * @param clientOptions     AWS SDK client options to call STS when a new provider is created.
+     * @returns a shared provider of temporary credentials.
+     */
+    public static getProvider(connection: AwsConnectionParams, clientOptions: AwsClientOptions): AwsAssumeRoleProvider {
+        let key = AwsAssumeRoleProvider.getKey(connection);
+        let provider = AwsAssumeRoleProvider._providers[key];
+        if (provider == null) {
+            provider = new AwsAssumeRoleProvider(connection, clientOptions);
+            AwsAssumeRoleProvider._providers[key] = provider;
+        }
+        return provider;
+    }
+
+    /**
+     * Clears shared providers and their cached credentials.
+     */
+    public static clear(): void {
+        AwsAssumeRoleProvider._providers = {};
+    }
+
+    /**
+     * Gets temporary credentials of the IAM role.
+     * Cached credentials are returned until they are about to expire.
+     *
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param callback          callback function that receives credentials with "accessKeyId",
+     *                          "secretAccessKey", "sessionToken" and "expiration" or error.
+     */
+    public getCredentials(correlationId: string, callback: (err: any, credentials: any) => void): void {
+        let now = new Date().getTime();
+        if (this._credentials != null && this._credentials.expiration.getTime() - now > this._refreshWindow) {
+            callback(null, this._credentials);
+            return;
+        }
+
+        // Wait for the pending request
+        if (this._callbacks != null) {
+            this._callbacks.push(callback);
+            return;
+        }
+
+        this._callbacks = [callback];
+
+        this.assumeRole(correlationId, (err, credentials) => {
+            if (err == null)
+                this._credentials = credentials;
+
+            let callbacks = this._callbacks;
+            this._callbacks = null;
+            for (let callback of callbacks)
+                callback(err, credentials);
+        });
+    }
+
+    private assumeRole(correlationId: string, callback: (err: any, credentials: any) => void): void {
+        let roleArn = this._connection.getRoleArn();
+
+        let stsConnection = new AwsConnectionParams({
+            region: this._connection.getRegion() || 'us-east-1',
+            endpoint: this._connection.getStsEndpoint(),
+            access_id: this._connection.getAccessId(),
+            access_key: this._connection.getAccessKey(),
+            session_token: this._connection.getSessionToken(),
+            profile: this._connection.getProfile()
+        });
+
+        let sts: any;
+        try {
+            sts = AwsClientFactory.create('sts', stsConnection, this._clientOptions);
+        } catch (ex) {
+            callback(ex, null);
+            return;
+        }
+
+        let params: any = {
+            RoleArn: roleArn,
+            RoleSessionName: this._connection.getSessionName()
+        };
+        if (this._connection.getExternalId() != null)
+            params.ExternalId = this._connection.getExternalId();
+
+        sts.assumeRole(params, (err, data) => {
+            if (_.isFunction(sts.destroy))
+                sts.destroy();
+
+            if (err == null && (data == null || data.Credentials == null))
+                err = new Error('STS returned no credentials');
+
+            if (err != null) {
+                err = new ConnectionException(
+                    correlationId,
+                    'ASSUME_ROLE_FAILED',
+                    'Failed to assume AWS role ' + roleArn
+                ).withCause(err).withDetails('role_arn', roleArn);
+
+                callback(err, null);
+                return;
+            }
+
+            callback(null, {
+                accessKeyId: data.Credentials.AccessKeyId,
+                secretAccessKey: data.Credentials.SecretAccessKey,
+                sessionToken: data.Credentials.SessionToken,
+                expiration: new Date(data.Credentials.Expiration)
+            });
+        });
+    }
+}
@@ -0,0 +1,184 @@
+/** @module connect */
+/** @hidden */
+let _ = require('lodash');
+
+import { ConfigException } from 'pip-services3-commons-node';
+
+import { AwsConnectionParams } from './AwsConnectionParams';
+import { AwsClientOptions } from './AwsClientOptions';
+
+/**
+ * Factory that creates AWS service clients using AWS SDK v3 modular packages
+ * (<code>@aws-sdk/client-lambda</code>, <code>@aws-sdk/client-cloudwatch-logs</code>,
+ * <code>@aws-sdk/client-cloudwatch</code> and <code>@aws-sdk/client-sts</code>) when they are installed, and falls back
+ * to AWS SDK v2 (<code>aws-sdk</code>) otherwise. Both SDKs are configured from the same
+ * [[AwsConnectionParams]] and [[AwsClientOptions]]. AWS SDK v2 is also preferred
+ * when HTTP proxy is configured, since AWS SDK v3 does not support it out of the box.
+ * When proxy is configured but only AWS SDK v3 can be used, the client is not created.
+ *
+ * Timeouts and HTTP agent of AWS SDK v3 clients are set through <code>NodeHttpHandler</code>
+ * created explicitly, as early AWS SDK v3 versions do not accept plain handler options.
+ *
+ * AWS SDK v3 clients are wrapped to expose the same callback-style methods as AWS SDK v2,
+ * i.e. <code>client.invoke(params, callback)</code> sends <code>InvokeCommand</code>.
+ * A middleware added to AWS SDK v3 clients fills "code", "statusCode" and "retryable"
+ * properties of errors the same way as AWS SDK v2, so error handling and retries
+ * work identically for both SDKs. Custom endpoints are set through client configuration.
+ *
+ * Supported services are: "lambda", "logs" (CloudWatch Logs), "monitoring" (CloudWatch) and "sts".
+ *
+ * @see [[AwsClientOptions]]
+ *
+ * ### Example ###
+ *
+ *     let lambda = AwsClientFactory.create('lambda', connection, clientOptions, { maxRetries: 0 });
+ *
+ *     lambda.invoke({ FunctionName: 'my-function', Payload: '{}' }, (err, data) => {
+ *         ...
+ *     });
+ */
+export class AwsClientFactory {
+    private static readonly _services: any = {
+        'lambda': { v2: 'Lambda', apiVersion: '2015-03-31', v3Package: '@aws-sdk/client-lambda', v3: 'LambdaClient' },
+        'logs': { v2: 'CloudWatchLogs', apiVersion: '2014-03-28', v3Package: '@aws-sdk/client-cloudwatch-logs', v3: 'CloudWatchLogsClient' },
+        'monitoring': { v2: 'CloudWatch', apiVersion: '2010-08-01', v3Package: '@aws-sdk/client-cloudwatch', v3: 'CloudWatchClient' },
+        'sts': { v2: 'STS', apiVersion: '2011-06-15', v3Package: '@aws-sdk/client-sts', v3: 'STSClient' }
+    };
+
+    private static loadModule(name: string): any {
+        try {
+            return require(name);
+        } catch (ex) {
+            return null;
+        }
+    }
+
+    private static loadHttpHandler(v3Package: string): any {
+        // The handler is resolved next to the client package, since it is not a direct dependency.
+        // Newer clients use @smithy/node-http-handler and older ones @aws-sdk/node-http-handler
+        let paths: string[];
+        try {
+            paths = [require('path').dirname(require.resolve(v3Package))];
+        } catch (ex) {
+            return null;
+        }
+
+        for (let name of ['@smithy/node-http-handler', '@aws-sdk/node-http-handler']) {
+            try {
+                let module = require(require.resolve(name, { paths: paths }));
+                if (module.NodeHttpHandler != null)
+                    return module.NodeHttpHandler;
+            } catch (ex) {
+                // Try the next package
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Creates a client for AWS service.
+     *
+     * @param service           a service name: "lambda", "logs", "monitoring" or "sts".
+     * @param connection        AWS connection parameters.
+     * @param clientOptions     AWS SDK client options.
+     * @param defaults          (optional) client settings in AWS SDK v2 format, i.e. "maxRetries".
+     * @returns a client with AWS SDK v2 compatible callback-style methods.
+     * @throws a ConfigException when service is not supported, AWS SDK is not installed
+     *                          or HTTP proxy is configured and AWS SDK v2 is not available.
+     */
+    public static create(service: string, connection: AwsConnectionParams,
+        clientOptions: AwsClientOptions, defaults?: any): any {
+        let spec = AwsClientFactory._services[service];
+        if (spec == null) {
+            throw new ConfigException(
+                null,
+                'UNSUPPORTED_SERVICE',
+                'AWS service ' + service + ' is not supported'
+            ).withDetails('service', service);
+        }
+
+        let version = clientOptions.getSdkVersion();
+        let v3 = version != 2 ? AwsClientFactory.loadModule(spec.v3Package) : null;
+        let v2 = version != 3 && (v3 == null || clientOptions.getProxy() != null)
+            ? AwsClientFactory.loadModule('aws-sdk') : null;
+
+        if (v2 != null) {
+            let options = clientOptions.compose(connection, _.assign({ apiVersion: spec.apiVersion }, defaults));
+            return new v2[spec.v2](options);
+        }
+
+        if (v3 != null) {
+            if (clientOptions.getProxy() != null) {
+                throw new ConfigException(
+                    null,
+                    'PROXY_NOT_SUPPORTED',
+                    'HTTP proxy requires aws-sdk, it is not supported by ' + spec.v3Package
+                ).withDetails('service', service).withDetails('proxy', clientOptions.getProxy());
+            }
+
+            let options = _.omit(defaults, 'maxRetries');
+            if (defaults != null && defaults.maxRetries != null)
+                options.maxAttempts = defaults.maxRetries + 1;
+
+            options = clientOptions.composeV3(connection, options);
+            if (options.requestHandler != null) {
+                let handler = AwsClientFactory.loadHttpHandler(spec.v3Package);
+                if (handler == null) {
+                    throw new ConfigException(
+                        null,
+                        'NO_HTTP_HANDLER',
+                        'NodeHttpHandler for ' + spec.v3Package + ' is not installed'
+                    ).withDetails('service', service);
+                }
+                options.requestHandler = new handler(options.requestHandler);
+            }
+
+            let client = new v3[spec.v3](options);
+            return AwsClientFactory.wrapV3(v3, client);
+        }
+
+        throw new ConfigException(
+            null,
+            'NO_AWS_SDK',
+            'Neither ' + spec.v3Package + ' nor aws-sdk is installed'
+        ).withDetails('service', service);
+    }
+
+    private static wrapV3(module: any, client: any): any {
+        // Expose errors in AWS SDK v2 format
+        client.middlewareStack.add((next) => (args) => {
+            return next(args).catch((err) => {
+                if (err != null) {
+                    if (err.code == null) err.code = err.name;
+                    if (err.statusCode == null && err.$metadata != null)
+                        err.statusCode = err.$metadata.httpStatusCode;
+                    if (err.retryable == null && err.$retryable != null)
+                        err.retryable = true;
+                }
+                throw err;
+            });
+        }, { step: 'initialize', name: 'errorCompatibilityMiddleware' });
+
+        let result: any = {
+            sdkVersion: 3,
+            client: client,
+            destroy: () => client.destroy()
+        };
+
+        for (let key of _.keys(module)) {
+            if (key == '$Command' || !_.endsWith(key, 'Command')) continue;
+
+            let command = module[key];
+            let method = _.lowerFirst(key.substring(0, key.length - 'Command'.length));
+            result[method] = (params: any, callback: (err: any, data: any) => void) => {
+                client.send(new command(params)).then(
+                    (data) => { callback(null, data); },
+                    (err) => { callback(err, null); }
+                );
+            };
+        }
+
+        return result;
+    }
+}
@@ -0,0 +1,288 @@
+/** @module connect */
+/** @hidden */
+let _ = require('lodash');
+
+import { IConfigurable } from 'pip-services3-commons-node';
+import { ConfigParams } from 'pip-services3-commons-node';
+
+import { AwsConnectionParams } from './AwsConnectionParams';
+import { AwsAssumeRoleProvider } from './AwsAssumeRoleProvider';
+
+/**
+ * Helper class to compose configuration of AWS SDK service clients.
+ *
+ * Each component creates its SDK client with own credentials, region, endpoint,
+ * timeouts, proxy and HTTP agent instead of changing global <code>aws.config</code>.
+ * That allows components connected to different accounts and regions
+ * to coexist in the same process.
+ * 
+ * The same settings are composed for AWS SDK v2 service clients and for
+ * AWS SDK v3 modular clients created by [[AwsClientFactory]].
+ * 
+ * FIPS and dual-stack endpoints are selected by AWS SDK for the connection region
+ * unless a custom endpoint is set.
+ * 
+ * When the connection has IAM role, clients receive temporary credentials
+ * from shared [[AwsAssumeRoleProvider]] that are refreshed before they expire.
+ * Without access keys, credentials of the selected profile or the default ones
+ * are obtained by AWS SDK.
+ *
+ * ### Configuration parameters ###
+ *
+ * - options:
+ *     - connect_timeout:       (optional) connection timeout in milliseconds (default: 10 sec)
+ *     - timeout:               (optional) socket inactivity timeout in milliseconds (default: SDK default)
+ *     - proxy:                 (optional) URL of HTTP proxy to send requests through
+ *     - keep_alive:            (optional) true to reuse connections (default: false)
+ *     - max_sockets:           (optional) maximum number of sockets per host (default: unlimited)
+ *     - sdk_version:           (optional) AWS SDK version to use: 2 or 3 (default: 3 when installed, otherwise 2)
+ *     - use_fips:              (optional) true to use FIPS 140-2 endpoints (default: false)
+ *     - use_dualstack:         (optional) true to use dual-stack IPv4/IPv6 endpoints (default: false)
+ *
+ * @see [[AwsConnectionParams]]
+ * @see [[AwsClientFactory]]
+ *
+ * ### Example ###
+ *
+ *     let clientOptions = new AwsClientOptions();
+ *     clientOptions.configure(ConfigParams.fromTuples(
+ *         "options.connect_timeout", 5000,
+ *         "options.proxy", "http://proxy:3128"
+ *     ));
+ *
+ *     let aws = require('aws-sdk');
+ *     let lambda = new aws.Lambda(clientOptions.compose(connection));
+ */
+export class AwsClientOptions implements IConfigurable {
+    private _connectTimeout: number;
+    private _timeout: number = 0;
+    private _proxy: string = null;
+    private _keepAlive: boolean = false;
+    private _maxSockets: number = 0;
+    private _sdkVersion: number = null;
+    private _useFips: boolean = false;
+    private _useDualstack: boolean = false;
+
+    /**
+     * Creates a new instance of the client options.
+     *
+     * @param connectTimeout    (optional) default connection timeout in milliseconds (default: 10 sec).
+     */
+    public constructor(connectTimeout: number = 10000) {
+        this._connectTimeout = connectTimeout;
+    }
+
+    /**
+     * Configures component by passing configuration parameters.
+     *
+     * @param config    configuration parameters to be set.
+     */
+    public configure(config: ConfigParams): void {
+        this._connectTimeout = config.getAsIntegerWithDefault('options.connect_timeout', this._connectTimeout);
+        this._timeout = config.getAsIntegerWithDefault('options.timeout', this._timeout);
+        this._proxy = config.getAsStringWithDefault('options.proxy', this._proxy);
+        this._keepAlive = config.getAsBooleanWithDefault('options.keep_alive', this._keepAlive);
+        this._maxSockets = config.getAsIntegerWithDefault('options.max_sockets', this._maxSockets);
+        this._sdkVersion = config.getAsNullableInteger('options.sdk_version') || this._sdkVersion;
+        this._useFips = config.getAsBooleanWithDefault('options.use_fips', this._useFips);
+        this._useDualstack = config.getAsBooleanWithDefault('options.use_dualstack', this._useDualstack);
+    }
+
+    /**
+     * Gets the URL of HTTP proxy.
+     * 
+     * @returns the URL of HTTP proxy or null when it is not set.
+     */
+    public getProxy(): string {
+        return this._proxy;
+    }
+
+    /**
+     * Gets the required AWS SDK version.
+     * 
+     * @returns the AWS SDK version (2 or 3) or null to select it automatically.
+     */
+    public getSdkVersion(): number {
+        return this._sdkVersion;
+    }
+
+    /**
+     * Checks if FIPS 140-2 endpoints shall be used.
+     * 
+     * @returns true if FIPS endpoints shall be used and false otherwise.
+     */
+    public isFipsEnabled(): boolean {
+        return this._useFips;
+    }
+
+    /**
+     * Checks if dual-stack IPv4/IPv6 endpoints shall be used.
+     * 
+     * @returns true if dual-stack endpoints shall be used and false otherwise.
+     */
+    public isDualstackEnabled(): boolean {
+        return this._useDualstack;
+    }
+
+    private createAgent(connection: AwsConnectionParams): any {
+        if (!this._keepAlive && this._maxSockets <= 0)
+            return null;
+
+        let endpoint = connection.getEndpoint();
+        let secure = endpoint != null ? !_.startsWith(endpoint, 'http:') && connection.isSslEnabled() : true;
+        let agentOptions: any = { keepAlive: this._keepAlive };
+        if (this._maxSockets > 0)
+            agentOptions.maxSockets = this._maxSockets;
+
+        return secure
+            ? new (require('https').Agent)(agentOptions)
+            : new (require('http').Agent)(agentOptions);
+    }
+
+    private composeRoleCredentials(connection: AwsConnectionParams): any {
+        let provider = AwsAssumeRoleProvider.getProvider(connection, this);
+
+        // AWS SDK v2 calls refresh when credentials are expired or about to expire
+        let credentials = new (require('aws-sdk').Credentials)('', '');
+        credentials.expired = true;
+        credentials.refresh = (callback) => {
+            provider.getCredentials(null, (err, result) => {
+                if (err == null) {
+                    credentials.accessKeyId = result.accessKeyId;
+                    credentials.secretAccessKey = result.secretAccessKey;
+                    credentials.sessionToken = result.sessionToken;
+                    credentials.expireTime = result.expiration;
+                    credentials.expired = false;
+                }
+                callback(err);
+            });
+        };
+
+        return credentials;
+    }
+
+    /**
+     * Composes configuration of AWS SDK v2 service client.
+     *
+     * @param connection    AWS connection parameters.
+     * @param defaults      (optional) service specific settings, i.e. "apiVersion".
+     * @returns configuration object to be passed to AWS SDK service client constructor.
+     */
+    public compose(connection: AwsConnectionParams, defaults?: any): any {
+        let options: any = _.assign({}, defaults);
+        options.region = connection.getRegion();
+
+        if (connection.getRoleArn() != null) {
+            options.credentials = this.composeRoleCredentials(connection);
+        } else if (connection.getAccessId() != null) {
+            options.accessKeyId = connection.getAccessId();
+            options.secretAccessKey = connection.getAccessKey();
+            if (connection.getSessionToken() != null)
+                options.sessionToken = connection.getSessionToken();
+        } else if (connection.getProfile() != null) {
+            options.credentials = new (require('aws-sdk').SharedIniFileCredentials)({ profile: connection.getProfile() });
+        }
+
+        let endpoint = connection.getEndpoint();
+        if (endpoint != null) {
+            options.endpoint = endpoint;
+            options.sslEnabled = connection.isSslEnabled();
+            options.s3ForcePathStyle = connection.isForcePathStyle();
+
+            // Emulators accept any credentials
+            if (options.accessKeyId == null && options.credentials == null) {
+                options.accessKeyId = 'emulator';
+                options.secretAccessKey = 'emulator';
+            }
+        } else {
+            if (this._useFips)
+                options.useFipsEndpoint = true;
+            if (this._useDualstack)
+                options.useDualstackEndpoint = true;
+        }
+
+        let httpOptions: any = {};
+        if (this._connectTimeout > 0)
+            httpOptions.connectTimeout = this._connectTimeout;
+        if (this._timeout > 0)
+            httpOptions.timeout = this._timeout;
+        if (this._proxy != null)
+            httpOptions.proxy = this._proxy;
+
+        let agent = this.createAgent(connection);
+        if (agent != null)
+            httpOptions.agent = agent;
+
+        options.httpOptions = httpOptions;
+        return options;
+    }
+
+    /**
+     * Composes configuration of AWS SDK v3 modular client.
+     * HTTP proxy is not supported by AWS SDK v3 without a custom agent.
+     * Timeouts and HTTP agent are returned as options of <code>NodeHttpHandler</code>
+     * in "requestHandler" property, [[AwsClientFactory]] creates the handler from them.
+     *
+     * @param connection    AWS connection parameters.
+     * @param defaults      (optional) client specific settings, i.e. "maxAttempts".
+     * @returns configuration object to be passed to AWS SDK v3 client constructor.
+     */
+    public composeV3(connection: AwsConnectionParams, defaults?: any): any {
+        let options: any = _.assign({}, defaults);
+        options.region = connection.getRegion();
+
+        if (connection.getRoleArn() != null) {
+            let provider = AwsAssumeRoleProvider.getProvider(connection, this);
+            // AWS SDK v3 calls the provider again when credentials are about to expire
+            options.credentials = () => new Promise((resolve, reject) => {
+                provider.getCredentials(null, (err, credentials) => {
+                    if (err) reject(err);
+                    else resolve(credentials);
+                });
+            });
+        } else if (connection.getAccessId() != null) {
+            options.credentials = {
+                accessKeyId: connection.getAccessId(),
+                secretAccessKey: connection.getAccessKey()
+            };
+            if (connection.getSessionToken() != null)
+                options.credentials.sessionToken = connection.getSessionToken();
+        } else if (connection.getProfile() != null) {
+            // Credentials of the profile are read and refreshed by AWS SDK
+            options.profile = connection.getProfile();
+        }
+
+        let endpoint = connection.getEndpoint();
+        if (endpoint != null) {
+            options.endpoint = endpoint;
+            options.tls = connection.isSslEnabled();
+            options.forcePathStyle = connection.isForcePathStyle();
+
+            // Emulators accept any credentials
+            if (options.credentials == null)
+                options.credentials = { accessKeyId: 'emulator', secretAccessKey: 'emulator' };
+        } else {
+            if (this._useFips)
+                options.useFipsEndpoint = true;
+            if (this._useDualstack)
+                options.useDualstackEndpoint = true;
+        }
+
+        let requestHandler: any = {};
+        if (this._connectTimeout > 0)
+            requestHandler.connectionTimeout = this._connectTimeout;
+        if (this._timeout > 0)
+            requestHandler.requestTimeout = this._timeout;
+
+        let agent = this.createAgent(connection);
+        if (agent instanceof require('https').Agent)
+            requestHandler.httpsAgent = agent;
+        else if (agent != null)
+            requestHandler.httpAgent = agent;
+
+        if (!_.isEmpty(requestHandler))
+            options.requestHandler = requestHandler;
+
+        return options;
+    }
+}
@@ -5,19 +5,44 @@ import { ConfigException } from 'pip-services3-commons-node';
 import { CredentialParams } from 'pip-services3-components-node';
 import { ConnectionParams } from 'pip-services3-components-node';
 
+import { AwsArn } from './AwsArn';
+
 /**
  * Contains connection parameters to authenticate against Amazon Web Services (AWS)
  * and connect to specific AWS resource.
  * 
- * The class is able to compose and parse AWS resource ARNs.
+ * The class is able to compose and parse AWS resource ARNs using [[AwsArn]].
+ * ARNs of Lambda functions may end with a qualifier, i.e. an alias or a version:
+ * <code>arn:aws:lambda:us-east-1:123456789012:function:my-function:live</code>.
+ * The qualifier is parsed into "qualifier" parameter and appended back when ARN is composed.
+ * 
+ * When a custom endpoint is set, i.e. to connect to LocalStack or another AWS emulator,
+ * resource ARN and credentials are not required. Static access keys are optional
+ * since credentials can be obtained from the environment by [[AwsCredentialProviderChain]].
+ * When IAM role is set, the credentials are used to obtain temporary credentials of the role
+ * by [[AwsAssumeRoleProvider]].
  * 
  * ### Configuration parameters ###
  * 
- * - access_id:     application access id
+ * - qualifier:         (optional) alias or version of the resource, i.e. "live" or "3"
+ * - function:          (optional) name of Lambda function with optional qualifier, i.e. "my-function:live"
+ * - endpoint:          (optional) custom service endpoint (uri is used as alternative)
+ * - uri:               (optional) custom service endpoint or AWS resource URI, i.e. "aws://lambda/us-east-1/123456789012/my-function:live"
+ * - host:              (optional) host of custom service endpoint when endpoint or uri are not set
+ * - port:              (optional) port of custom service endpoint
+ * - ssl_enabled:       (optional) false to disable TLS for custom endpoint composed from host and port (default: true)
+ * - force_path_style:  (optional) true to use path-style addressing, i.e. for S3 emulators (default: false)
+ * - access_id:     (optional) application access id
  * - client_id:     alternative to access_id
- * - access_key:    application secret key
+ * - access_key:    (optional) application secret key
  * - client_key:    alternative to access_key
  * - secret_key:    alternative to access_key
+ * - session_token: (optional) session token of temporary credentials
+ * - profile:       (optional) name of a profile in shared credentials file
+ * - role_arn:      (optional) ARN of IAM role to assume using STS
+ * - external_id:   (optional) external id required to assume the role
+ * - session_name:  (optional) name of the role session (default: "pip-services")
+ * - sts_endpoint:  (optional) custom STS endpoint, i.e. of a stand-in service for testing
  * 
  * In addition to standard parameters [[https://pip-services3-node.github.io/pip-services3-components-node/classes/auth.credentialparams.html CredentialParams]] may contain any number of custom parameters
  * 
@@ -51,11 +76,13 @@ export class AwsConnectionParams extends ConfigParams {
 
     /**
      * Gets the AWS partition name.
+     * When it is not set, the partition is inferred from the region.
      * 
      * @returns the AWS partition name.
      */
     public getPartition(): string {
-        return super.getAsNullableString("partition") || "aws";
+        return super.getAsNullableString("partition")
+            || AwsArn.getRegionPartition(this.getRegion());
     }
 
     /**
@@ -157,67 +184,196 @@ export class AwsConnectionParams extends ConfigParams {
         super.put("resource", value);
     }
 
+    /**
+     * Gets the AWS resource qualifier, i.e. Lambda function alias or version.
+     * 
+     * @returns the AWS resource qualifier or null when it is not set.
+     */
+    public getQualifier(): string {
+        return super.getAsNullableString("qualifier");
+    }
+
+    /**
+     * Sets the AWS resource qualifier.
+     * 
+     * @param value a new AWS resource qualifier, i.e. "live" alias or "3" version.
+     */
+    public setQualifier(value: string) {
+        super.put("qualifier", value);
+    }
+
+    /**
+     * Gets the name of Lambda function, optionally followed by a qualifier, i.e. "my-function:live".
+     * 
+     * @returns the name of Lambda function.
+     */
+    public getFunction(): string {
+        return super.getAsNullableString("function");
+    }
+
+    /**
+     * Sets the name of Lambda function, optionally followed by a qualifier.
+     * 
+     * @param value a new name of Lambda function.
+     */
+    public setFunction(value: string) {
+        super.put("function", value);
+    }
+
+    /**
+     * Gets the AWS resource ARN as [[AwsArn]] value.
+     * If the ARN is not defined it automatically generates it from other properties.
+     * When qualifier is set, it replaces the qualifier the ARN may already contain.
+     * 
+     * @returns the AWS resource ARN.
+     * @throws a ConfigException when the configured ARN is not in ARN format.
+     */
+    public getAwsArn(): AwsArn {
+        let value = super.getAsNullableString("arn");
+        let arn = value
+            ? AwsArn.fromString(value)
+            : new AwsArn(this.getPartition(), this.getService(), this.getRegion(), this.getAccount(),
+                this.getResourceType(), this.getResource());
+
+        let qualifier = this.getQualifier();
+        return qualifier != null ? arn.withQualifier(qualifier) : arn;
+    }
+
+    /**
+     * Sets the AWS resource ARN as [[AwsArn]] value.
+     * 
+     * @param value a new AWS resource ARN.
+     * 
+     * @see [[setArn]]
+     */
+    public setAwsArn(value: AwsArn) {
+        this.setArn(value != null ? value.toString() : null);
+    }
+
     /**
      * Gets the AWS resource ARN.
      * If the ARN is not defined it automatically generates it from other properties.
+     * When qualifier is set, it replaces the qualifier the ARN may already contain.
      * 
      * @returns the AWS resource ARN.
      */
     public getArn(): string {
-        let arn = super.getAsNullableString("arn");
-        if (arn) return arn;
-
-        arn = "arn";
-        let partition = this.getPartition() || "aws";
-        arn += ":" + partition;
-        let service = this.getService() || "";
-        arn += ":" + service;
-        let region = this.getRegion() || "";
-        arn += ":" + region;
-        let account = this.getAccount() || "";
-        arn += ":" + account;
-        let resourceType = this.getResourceType() || "";
-        if (resourceType != "")
-            arn += ":" + resourceType;
-        let resource = this.getResource() || "";
-        arn += ":" + resource;
+        try {
+            return this.getAwsArn().toString();
+        } catch (ex) {
+            // Malformed ARN is reported by validate
+            return super.getAsNullableString("arn");
+        }
+    }
 
-        return arn;
+    /**
+     * Gets the AWS resource ARN without qualifier.
+     * If the ARN is not defined it automatically generates it from other properties.
+     * 
+     * @returns the AWS resource ARN without alias or version.
+     */
+    public getUnqualifiedArn(): string {
+        try {
+            return this.getAwsArn().withQualifier(null).toString();
+        } catch (ex) {
+            return super.getAsNullableString("arn");
+        }
     }
 
     /**
      * Sets the AWS resource ARN.
      * When it sets the value, it automatically parses the ARN
-     * and sets individual parameters.
+     * and sets individual parameters. The qualifier is set only when
+     * the ARN ends with it, otherwise the previously set qualifier is kept.
      * 
      * @param value a new AWS resource ARN.
+     * @throws a ConfigException when the value is not in ARN format.
      */
     public setArn(value: string) {
+        let arn = AwsArn.fromString(value);
         super.put("arn", value);
 
-        if (value != null) {
-            let tokens = value.split(":");
-            this.setPartition(tokens[1]);
-            this.setService(tokens[2]);
-            this.setRegion(tokens[3]);
-            this.setAccount(tokens[4]);
-            if (tokens.length > 6) {
-                this.setResourceType(tokens[5]);
-                this.setResource(tokens[6]);
-            } else {
-                let temp = tokens[5];
-                let pos = temp.indexOf("/");
-                if (pos > 0) {
-                    this.setResourceType(temp.substring(0, pos));
-                    this.setResource(temp.substring(pos + 1));
-                } else {
-                    this.setResourceType(null);
-                    this.setResource(temp);
-                }
-            }
+        if (arn != null) {
+            this.setPartition(arn.getPartition());
+            this.setService(arn.getService());
+            this.setRegion(arn.getRegion());
+            this.setAccount(arn.getAccount());
+            this.setResourceType(arn.getResourceType());
+            this.setResource(arn.getResource());
+            if (arn.getQualifier() != null)
+                this.setQualifier(arn.getQualifier());
         }
     }
 
+    /**
+     * Gets the custom service endpoint, i.e. to connect to a local emulator.
+     * 
+     * @returns the custom service endpoint or null to use default AWS endpoint.
+     */
+    public getEndpoint(): string {
+        let endpoint = super.getAsNullableString("endpoint");
+        if (endpoint != null) return endpoint;
+
+        // Compact resource URIs point to AWS resources, not to endpoints
+        let uri = super.getAsNullableString("uri");
+        if (uri != null && !AwsArn.isUri(uri)) return uri;
+
+        let host = super.getAsNullableString("host");
+        if (host == null) return null;
+
+        let protocol = super.getAsNullableString("protocol");
+        if (protocol != "http" && protocol != "https")
+            protocol = this.isSslEnabled() ? "https" : "http";
+        let port = super.getAsNullableInteger("port");
+
+        return protocol + "://" + host + (port != null ? ":" + port : "");
+    }
+
+    /**
+     * Sets the custom service endpoint.
+     * 
+     * @param value a new custom service endpoint.
+     */
+    public setEndpoint(value: string) {
+        super.put("endpoint", value);
+    }
+
+    /**
+     * Checks if TLS is enabled for custom endpoint.
+     * 
+     * @returns true if TLS is enabled and false otherwise.
+     */
+    public isSslEnabled(): boolean {
+        return super.getAsBooleanWithDefault("ssl_enabled", true);
+    }
+
+    /**
+     * Enables or disables TLS for custom endpoint.
+     * 
+     * @param value true to enable TLS and false to disable it.
+     */
+    public setSslEnabled(value: boolean) {
+        super.put("ssl_enabled", value);
+    }
+
+    /**
+     * Checks if path-style addressing shall be used instead of virtual hosts.
+     * 
+     * @returns true to use path-style addressing and false otherwise.
+     */
+    public isForcePathStyle(): boolean {
+        return super.getAsBooleanWithDefault("force_path_style", false);
+    }
+
+    /**
+     * Sets path-style addressing.
+     * 
+     * @param value true to use path-style addressing and false otherwise.
+     */
+    public setForcePathStyle(value: boolean) {
+        super.put("force_path_style", value);
+    }
+
     /**
      * Gets the AWS access id.
      * 
@@ -254,6 +410,114 @@ export class AwsConnectionParams extends ConfigParams {
         super.put("access_key", value);
     }
 
+    /**
+     * Gets the session token of temporary AWS credentials.
+     * 
+     * @returns the AWS session token or null when static credentials are used.
+     */
+    public getSessionToken(): string {
+        return super.getAsNullableString("session_token");
+    }
+
+    /**
+     * Sets the session token of temporary AWS credentials.
+     * 
+     * @param value a new AWS session token.
+     */
+    public setSessionToken(value: string) {
+        super.put("session_token", value);
+    }
+
+    /**
+     * Gets the name of a profile in shared AWS credentials file.
+     * 
+     * @returns the AWS profile name or null when it is not set.
+     */
+    public getProfile(): string {
+        return super.getAsNullableString("profile");
+    }
+
+    /**
+     * Sets the name of a profile in shared AWS credentials file.
+     * 
+     * @param value a new AWS profile name.
+     */
+    public setProfile(value: string) {
+        super.put("profile", value);
+    }
+
+    /**
+     * Gets the ARN of IAM role to assume.
+     * 
+     * @returns the IAM role ARN or null when credentials are used directly.
+     */
+    public getRoleArn(): string {
+        return super.getAsNullableString("role_arn");
+    }
+
+    /**
+     * Sets the ARN of IAM role to assume.
+     * 
+     * @param value a new IAM role ARN.
+     */
+    public setRoleArn(value: string) {
+        super.put("role_arn", value);
+    }
+
+    /**
+     * Gets the external id required to assume IAM role.
+     * 
+     * @returns the external id or null when it is not set.
+     */
+    public getExternalId(): string {
+        return super.getAsNullableString("external_id");
+    }
+
+    /**
+     * Sets the external id required to assume IAM role.
+     * 
+     * @param value a new external id.
+     */
+    public setExternalId(value: string) {
+        super.put("external_id", value);
+    }
+
+    /**
+     * Gets the name of IAM role session.
+     * 
+     * @returns the role session name.
+     */
+    public getSessionName(): string {
+        return super.getAsNullableString("session_name") || "pip-services";
+    }
+
+    /**
+     * Sets the name of IAM role session.
+     * 
+     * @param value a new role session name.
+     */
+    public setSessionName(value: string) {
+        super.put("session_name", value);
+    }
+
+    /**
+     * Gets the custom STS endpoint used to assume IAM role.
+     * 
+     * @returns the custom STS endpoint or null to use default AWS endpoint.
+     */
+    public getStsEndpoint(): string {
+        return super.getAsNullableString("sts_endpoint");
+    }
+
+    /**
+     * Sets the custom STS endpoint used to assume IAM role.
+     * 
+     * @param value a new custom STS endpoint.
+     */
+    public setStsEndpoint(value: string) {
+        super.put("sts_endpoint", value);
+    }
+
     /**
 	 * Creates a new AwsConnectionParams object filled with key-value pairs serialized as a string.
 	 * 
@@ -267,12 +531,17 @@ export class AwsConnectionParams extends ConfigParams {
     }
 
     /**
-     * Validates this connection parameters 
+     * Validates this connection parameters.
+     * Validation is relaxed when a custom endpoint is set.
      * 
      * @param correlationId     (optional) transaction id to trace execution through call chain.
      * @returns a ConfigException or null if validation passed successfully.
      */
     public validate(correlationId: string): ConfigException {
+        // Emulators accept any resources and credentials
+        if (this.getEndpoint() != null)
+            return null;
+
         let arn = this.getArn();
         if (arn == "arn:aws::::") {
             return new ConfigException(
@@ -282,7 +551,29 @@ export class AwsConnectionParams extends ConfigParams {
             );
         }
 
-        if (this.getAccessId() == null) {
+        let region = this.getRegion();
+        let partition = AwsArn.getRegionPartition(region);
+        if (region != null && this.getPartition() != partition) {
+            return new ConfigException(
+                correlationId,
+                "PARTITION_MISMATCH",
+                "AWS region " + region + " belongs to partition " + partition
+            ).withDetails("partition", this.getPartition()).withDetails("region", region);
+        }
+
+        let value = super.getAsNullableString("arn");
+        if (value) {
+            let err: ConfigException;
+            try {
+                err = AwsArn.fromString(value).validate(correlationId);
+            } catch (ex) {
+                err = ex;
+            }
+            if (err != null) return err;
+        }
+
+        // Access keys are optional, but shall be set together
+        if (this.getAccessId() == null && this.getAccessKey() != null) {
             return new ConfigException(
                 correlationId,
                 "NO_ACCESS_ID",
@@ -290,13 +581,15 @@ export class AwsConnectionParams extends ConfigParams {
             );
         }
 
-        if (this.getAccessKey() == null) {
+        if (this.getAccessId() != null && this.getAccessKey() == null) {
             return new ConfigException(
                 correlationId, 
                 "NO_ACCESS_KEY", 
                 "No access_key is configured in AWS credential"
             );
         }
+
+        return null;
     }
 
     /**
@@ -8,34 +8,74 @@ import { IConfigurable } from 'pip-services3-commons-node';
 import { IReferenceable } from 'pip-services3-commons-node';
 import { IReferences } from 'pip-services3-commons-node';
 import { ConfigParams } from 'pip-services3-commons-node';
+import { ConfigException } from 'pip-services3-commons-node';
+import { ConnectionException } from 'pip-services3-commons-node';
 import { ConnectionResolver } from 'pip-services3-components-node';
 import { ConnectionParams } from 'pip-services3-components-node';
 import { CredentialResolver } from 'pip-services3-components-node';
 import { CredentialParams } from 'pip-services3-components-node';
+import { CompositeLogger } from 'pip-services3-components-node';
 
 import { AwsConnectionParams } from './AwsConnectionParams';
+import { AwsCredentialProviderChain } from './AwsCredentialProviderChain';
+import { AwsAssumeRoleProvider } from './AwsAssumeRoleProvider';
+import { AwsClientOptions } from './AwsClientOptions';
+import { AwsClientFactory } from './AwsClientFactory';
+import { AwsArn } from './AwsArn';
 
 /**
  * Helper class to retrieve AWS connection and credential parameters,
  * validate them and compose a [[AwsConnectionParams]] value.
  * 
+ * When access keys are not configured, [[AwsCredentialProviderChain]] detects the credential source:
+ * environment variables, shared credentials file, web identity token file
+ * or container and instance metadata. The credentials are obtained by AWS SDK from that source.
+ * The chosen credential source is logged, missing credentials are logged as a warning.
+ * 
+ * When "role_arn" is set, the resolver assumes the IAM role with STS to verify access.
+ * Temporary credentials are cached by [[AwsAssumeRoleProvider]] and refreshed
+ * before they expire for all components that use the same role.
+ * 
+ * AWS resources can be set by ARN, by separate parameters, by a Lambda function name
+ * or by a compact resource URI. Connections with "discovery_key" are retrieved
+ * from [[https://pip-services3-node.github.io/pip-services3-components-node/interfaces/connect.idiscovery.html IDiscovery]]
+ * services and may use any of these forms. All of them are normalized into ARN.
+ * When account of a regional resource is not set, it is taken from "role_arn"
+ * or from the caller identity returned by STS.
+ * 
  * ### Configuration parameters ###
  * 
  * - connections:                   
  *     - discovery_key:               (optional) a key to retrieve the connection from [[https://pip-services3-node.github.io/pip-services3-components-node/interfaces/connect.idiscovery.html IDiscovery]]
  *     - region:                      (optional) AWS region
- *     - partition:                   (optional) AWS partition
+ *     - partition:                   (optional) AWS partition (default: inferred from region)
  *     - service:                     (optional) AWS service
  *     - resource_type:               (optional) AWS resource type
  *     - resource:                    (optional) AWS resource id
  *     - arn:                         (optional) AWS resource ARN
+ *     - account:                     (optional) AWS account id
+ *     - qualifier:                   (optional) alias or version of the resource, i.e. of Lambda function
+ *     - function:                    (optional) AWS Lambda function name with optional qualifier, i.e. "my-function:live"
+ *     - uri:                         (optional) custom endpoint, i.e. of LocalStack or another emulator,
+ *                                    or AWS resource URI, i.e. "aws://lambda/us-east-1/123456789012/my-function:live"
+ *     - host:                        (optional) host of custom endpoint when uri is not set
+ *     - port:                        (optional) port of custom endpoint
+ *     - ssl_enabled:                 (optional) false to disable TLS for custom endpoint (default: true)
+ *     - force_path_style:            (optional) true to use path-style addressing (default: false)
  * - credentials:    
  *     - store_key:                   (optional) a key to retrieve the credentials from [[https://pip-services3-node.github.io/pip-services3-components-node/interfaces/auth.icredentialstore.html ICredentialStore]]
- *     - access_id:                   AWS access/client id
- *     - access_key:                  AWS access/client id
+ *     - access_id:                   (optional) AWS access/client id
+ *     - access_key:                  (optional) AWS access/client key
+ *     - session_token:               (optional) AWS session token of temporary credentials
+ *     - profile:                     (optional) profile in shared credentials file (default: AWS_PROFILE or "default")
+ *     - role_arn:                    (optional) ARN of IAM role to assume with STS
+ *     - external_id:                 (optional) external id required to assume the role
+ *     - session_name:                (optional) name of the role session (default: "pip-services")
+ *     - sts_endpoint:                (optional) custom STS endpoint, i.e. of a stand-in service for testing
  * 
  * ### References ###
  * 
+ * - <code>\*:logger:\*:\*:1.0</code>            (optional) [[https://pip-services3-node.github.io/pip-services3-components-node/interfaces/log.ilogger.html ILogger]] components to log the credential source
  * - <code>\*:discovery:\*:\*:1.0</code>         (optional) [[https://pip-services3-node.github.io/pip-services3-components-node/interfaces/connect.idiscovery.html IDiscovery]] services to resolve connections
  * - <code>\*:credential-store:\*:\*:1.0</code>  (optional) Credential stores to resolve credentials
  * 
@@ -69,6 +109,18 @@ export class AwsConnectionResolver implements IConfigurable, IReferenceable {
      * The credential resolver.
      */
     protected _credentialResolver: CredentialResolver = new CredentialResolver();
+    /**
+     * The chain of AWS credential providers.
+     */
+    protected _credentialChain: AwsCredentialProviderChain = new AwsCredentialProviderChain();
+    /**
+     * The logger.
+     */
+    protected _logger: CompositeLogger = new CompositeLogger();
+    /**
+     * The AWS SDK client options to call STS.
+     */
+    protected _clientOptions: AwsClientOptions = new AwsClientOptions();
 
     /**
      * Configures component by passing configuration parameters.
@@ -78,6 +130,7 @@ export class AwsConnectionResolver implements IConfigurable, IReferenceable {
     public configure(config: ConfigParams): void {
         this._connectionResolver.configure(config);
         this._credentialResolver.configure(config);
+        this._clientOptions.configure(config);
     }
 
     /**
@@ -88,6 +141,113 @@ export class AwsConnectionResolver implements IConfigurable, IReferenceable {
     public setReferences(references: IReferences): void {
         this._connectionResolver.setReferences(references);
         this._credentialResolver.setReferences(references);
+        this._logger.setReferences(references);
+    }
+
+    private checkDiscovery(correlationId: string): ConfigException {
+        for (let connection of this._connectionResolver.getAll()) {
+            if (connection.useDiscovery()) {
+                return new ConfigException(
+                    correlationId,
+                    "CONNECTION_NOT_FOUND",
+                    "AWS connection " + connection.getDiscoveryKey() + " is not found in discovery services"
+                ).withDetails("discovery_key", connection.getDiscoveryKey());
+            }
+        }
+        return null;
+    }
+
+    private normalize(correlationId: string, connection: AwsConnectionParams): ConfigException {
+        try {
+            let uri = connection.getAsNullableString("uri");
+            let func = connection.getFunction();
+
+            if (AwsArn.isUri(uri)) {
+                connection.setAwsArn(AwsArn.fromUri(uri));
+            } else if (func != null && connection.getAsNullableString("arn") == null) {
+                if (func.indexOf("arn:") == 0) {
+                    connection.setArn(func);
+                } else {
+                    let pos = func.indexOf(":");
+                    connection.setService("lambda");
+                    connection.setResourceType("function");
+                    connection.setResource(pos > 0 ? func.substring(0, pos) : func);
+                    if (pos > 0)
+                        connection.setQualifier(func.substring(pos + 1));
+                }
+            }
+        } catch (ex) {
+            return ex;
+        }
+
+        return null;
+    }
+
+    private resolveAccount(correlationId: string, connection: AwsConnectionParams,
+        callback: (err: any) => void): void {
+        let arn = connection.getAwsArn();
+
+        // Only regional resources in AWS require account
+        if (connection.getEndpoint() != null || arn.getAccount() != ""
+            || arn.getRegion() == "" || arn.getResource() == "") {
+            callback(null);
+            return;
+        }
+
+        let setAccount = (account: string) => {
+            connection.setAwsArn(new AwsArn(
+                arn.getPartition(), arn.getService(), arn.getRegion(), account,
+                arn.getResourceType(), arn.getResource(), arn.getQualifier(), arn.getSeparator()
+            ));
+        };
+
+        // Assumed role belongs to the account with resources
+        let roleArn = AwsArn.fromString(connection.getRoleArn());
+        if (roleArn != null && roleArn.getAccount() != "") {
+            setAccount(roleArn.getAccount());
+            callback(null);
+            return;
+        }
+
+        let stsConnection = new AwsConnectionParams({
+            region: connection.getRegion(),
+            endpoint: connection.getStsEndpoint(),
+            access_id: connection.getAccessId(),
+            access_key: connection.getAccessKey(),
+            session_token: connection.getSessionToken(),
+            profile: connection.getProfile()
+        });
+
+        let sts: any;
+        try {
+            sts = AwsClientFactory.create('sts', stsConnection, this._clientOptions);
+        } catch (ex) {
+            callback(ex);
+            return;
+        }
+
+        sts.getCallerIdentity({}, (err, data) => {
+            if (_.isFunction(sts.destroy))
+                sts.destroy();
+
+            if (err == null && (data == null || data.Account == null))
+                err = new Error('STS returned no account');
+
+            if (err != null) {
+                err = new ConnectionException(
+                    correlationId,
+                    'NO_AWS_ACCOUNT',
+                    'Failed to get AWS account for ' + arn.toString()
+                ).withCause(err).withDetails('arn', arn.toString());
+
+                callback(err);
+                return;
+            }
+
+            setAccount(data.Account);
+            this._logger.debug(correlationId, "Using AWS account %s", data.Account);
+            callback(null);
+        });
     }
 
     /**
@@ -107,6 +267,8 @@ export class AwsConnectionResolver implements IConfigurable, IReferenceable {
         async.series([
             (callback) => {
                 this._connectionResolver.resolve(correlationId, (err: any, data: ConnectionParams) => {
+                    if (err == null && data == null)
+                        err = this.checkDiscovery(correlationId);
                     if (err == null && data != null)
                         connection.append(data);
                     callback(err);
@@ -120,13 +282,50 @@ export class AwsConnectionResolver implements IConfigurable, IReferenceable {
                 });
             },
             (callback) => {
-                // Force ARN parsing
-                connection.setArn(connection.getArn());
+                this._credentialChain.resolve(correlationId, connection, (err, source) => {
+                    if (err == null && source == AwsCredentialProviderChain.None)
+                        this._logger.warn(correlationId, "AWS credentials are not found");
+                    else if (err == null)
+                        this._logger.info(correlationId, "Using AWS credentials from %s", source);
+                    callback(err);
+                });
+            },
+            (callback) => {
+                // Convert function names and resource URIs into ARN
+                let err = this.normalize(correlationId, connection);
 
                 // Perform validation
-                let err = connection.validate(correlationId);
+                if (err == null)
+                    err = connection.validate(correlationId);
+
+                // Force ARN parsing
+                if (err == null) {
+                    try {
+                        connection.setArn(connection.getArn());
+                    } catch (ex) {
+                        err = ex;
+                    }
+                }
 
                 callback(err);
+            },
+            (callback) => {
+                if (connection.getRoleArn() == null) {
+                    callback();
+                    return;
+                }
+
+                let provider = AwsAssumeRoleProvider.getProvider(connection, this._clientOptions);
+                provider.getCredentials(correlationId, (err, credentials) => {
+                    if (err == null) {
+                        this._logger.info(correlationId, "Assumed AWS role %s until %s",
+                            connection.getRoleArn(), credentials.expiration.toISOString());
+                    }
+                    callback(err);
+                });
+            },
+            (callback) => {
+                this.resolveAccount(correlationId, connection, callback);
             }
         ], (err) => {
             connection = err == null ? connection : null;
@@ -0,0 +1,249 @@
+/** @module connect */
+/** @hidden */
+let fs = require('fs');
+/** @hidden */
+let http = require('http');
+/** @hidden */
+let os = require('os');
+/** @hidden */
+let path = require('path');
+
+import { ConfigException } from 'pip-services3-commons-node';
+
+import { AwsConnectionParams } from './AwsConnectionParams';
+
+/**
+ * Standard chain of AWS credential providers used by [[AwsConnectionResolver]].
+ *
+ * The providers are checked in the following order and the first one that has credentials is used:
+ *
+ * - "config": access_id and access_key set explicitly in credential parameters
+ * - "environment": AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY and optional AWS_SESSION_TOKEN
+ *   environment variables, i.e. set by AWS Lambda for the execution role.
+ *   They are skipped when a profile is selected explicitly, as it is done by AWS SDK
+ * - "profile": a profile in shared credentials file (AWS_SHARED_CREDENTIALS_FILE or ~/.aws/credentials)
+ *   selected by "profile" credential parameter or AWS_PROFILE environment variable (default: "default")
+ * - "web-identity": a readable web identity token file set by AWS_WEB_IDENTITY_TOKEN_FILE and AWS_ROLE_ARN, i.e. in EKS
+ * - "container-metadata": ECS container metadata endpoint set by AWS_CONTAINER_CREDENTIALS_RELATIVE_URI
+ *   or AWS_CONTAINER_CREDENTIALS_FULL_URI
+ * - "instance-metadata": EC2 instance metadata endpoint that responds to token requests.
+ *   It is probed once per process, unless AWS_EC2_METADATA_DISABLED is set,
+ *   and can be changed by AWS_EC2_METADATA_SERVICE_ENDPOINT
+ *
+ * When none of the providers has credentials the source is "none".
+ *
+ * The chain only detects the credential source. Except for explicit configuration,
+ * credentials are not copied into the connection parameters, but obtained and refreshed
+ * by AWS SDK, which implements the same providers. The selected profile is passed to AWS SDK
+ * by [[AwsClientOptions]].
+ *
+ * @see [[AwsConnectionResolver]]
+ *
+ * ### Example ###
+ *
+ *     let chain = new AwsCredentialProviderChain();
+ *     chain.resolve("123", connection, (err, source) => {
+ *         // source is "config", "environment", "profile", etc.
+ *     });
+ */
+export class AwsCredentialProviderChain {
+    /**
+     * Credentials are set explicitly in configuration.
+     */
+    public static readonly Config: string = 'config';
+    /**
+     * Credentials are taken from environment variables.
+     */
+    public static readonly Environment: string = 'environment';
+    /**
+     * Credentials are taken from shared credentials file.
+     */
+    public static readonly Profile: string = 'profile';
+    /**
+     * Credentials are obtained by AWS SDK using web identity token file.
+     */
+    public static readonly WebIdentity: string = 'web-identity';
+    /**
+     * Credentials are obtained by AWS SDK from ECS container metadata endpoint.
+     */
+    public static readonly ContainerMetadata: string = 'container-metadata';
+    /**
+     * Credentials are obtained by AWS SDK from EC2 instance metadata endpoint.
+     */
+    public static readonly InstanceMetadata: string = 'instance-metadata';
+    /**
+     * No credentials were found.
+     */
+    public static readonly None: string = 'none';
+
+    private static _metadataProbes: { [endpoint: string]: boolean } = {};
+
+    private _env: any;
+    private _metadataTimeout: number;
+
+    /**
+     * Creates a new instance of the credential provider chain.
+     *
+     * @param env               (optional) environment variables (default: process.env).
+     * @param metadataTimeout   (optional) timeout in milliseconds to probe instance metadata endpoint (default: 1 sec).
+     */
+    public constructor(env?: any, metadataTimeout: number = 1000) {
+        this._env = env || process.env;
+        this._metadataTimeout = metadataTimeout;
+    }
+
+    /**
+     * Detects the source of AWS credentials for the connection.
+     *
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param connection        AWS connection parameters to be updated.
+     * @param callback          callback function that receives the credential source or error.
+     */
+    public resolve(correlationId: string, connection: AwsConnectionParams,
+        callback: (err: any, source: string) => void): void {
+
+        if (connection.getAccessId() != null) {
+            callback(null, AwsCredentialProviderChain.Config);
+            return;
+        }
+
+        // Explicitly selected profile takes precedence over environment credentials
+        let env = this._env;
+        let profile = connection.getProfile() || env['AWS_PROFILE'];
+        if (profile == null && env['AWS_ACCESS_KEY_ID'] && env['AWS_SECRET_ACCESS_KEY']) {
+            callback(null, AwsCredentialProviderChain.Environment);
+            return;
+        }
+
+        this.findProfile(correlationId, connection, (err, found) => {
+            if (err != null || found) {
+                callback(err, err == null ? AwsCredentialProviderChain.Profile : null);
+                return;
+            }
+
+            this.findWebIdentity((found) => {
+                if (found) {
+                    callback(null, AwsCredentialProviderChain.WebIdentity);
+                    return;
+                }
+
+                if (env['AWS_CONTAINER_CREDENTIALS_RELATIVE_URI'] || env['AWS_CONTAINER_CREDENTIALS_FULL_URI']) {
+                    callback(null, AwsCredentialProviderChain.ContainerMetadata);
+                    return;
+                }
+
+                this.findInstanceMetadata((found) => {
+                    callback(null, found ? AwsCredentialProviderChain.InstanceMetadata : AwsCredentialProviderChain.None);
+                });
+            });
+        });
+    }
+
+    private findWebIdentity(callback: (found: boolean) => void): void {
+        let file = this._env['AWS_WEB_IDENTITY_TOKEN_FILE'];
+        if (!file || !this._env['AWS_ROLE_ARN']) {
+            callback(false);
+            return;
+        }
+
+        fs.access(file, fs.constants.R_OK, (err) => {
+            callback(err == null);
+        });
+    }
+
+    private findInstanceMetadata(callback: (found: boolean) => void): void {
+        if (String(this._env['AWS_EC2_METADATA_DISABLED']).toLowerCase() == 'true') {
+            callback(false);
+            return;
+        }
+
+        let endpoint = this._env['AWS_EC2_METADATA_SERVICE_ENDPOINT'] || 'http://169.254.169.254';
+        let probed = AwsCredentialProviderChain._metadataProbes[endpoint];
+        if (probed != null) {
+            callback(probed);
+            return;
+        }
+
+        let completed = false;
+        let done = (found: boolean) => {
+            if (completed) return;
+            completed = true;
+            AwsCredentialProviderChain._metadataProbes[endpoint] = found;
+            callback(found);
+        };
+
+        // Any response to IMDSv2 token request means that the endpoint is available
+        let request;
+        try {
+            request = http.request(new URL('/latest/api/token', endpoint), {
+                method: 'PUT',
+                timeout: this._metadataTimeout,
+                headers: { 'X-aws-ec2-metadata-token-ttl-seconds': '21600' }
+            }, (response) => {
+                response.resume();
+                done(true);
+            });
+        } catch (ex) {
+            done(false);
+            return;
+        }
+
+        request.on('timeout', () => { request.destroy(); });
+        request.on('error', () => { done(false); });
+        request.end();
+    }
+
+    private getCredentialsFile(): string {
+        return this._env['AWS_SHARED_CREDENTIALS_FILE']
+            || path.join(this._env['HOME'] || this._env['USERPROFILE'] || os.homedir(), '.aws', 'credentials');
+    }
+
+    private parseProfiles(content: string): any {
+        let profiles = {};
+        let profile = null;
+
+        for (let line of content.split(/\r?\n/)) {
+            line = line.trim();
+            if (line == '' || line[0] == '#' || line[0] == ';') continue;
+
+            if (line[0] == '[' && line[line.length - 1] == ']') {
+                let name = line.substring(1, line.length - 1).trim().replace(/^profile\s+/, '');
+                profile = profiles[name] = profiles[name] || {};
+                continue;
+            }
+
+            let pos = line.indexOf('=');
+            if (profile != null && pos > 0)
+                profile[line.substring(0, pos).trim().toLowerCase()] = line.substring(pos + 1).trim();
+        }
+
+        return profiles;
+    }
+
+    private findProfile(correlationId: string, connection: AwsConnectionParams,
+        callback: (err: any, found: boolean) => void): void {
+        // Missing explicitly selected profile is an error
+        let name = connection.getProfile() || this._env['AWS_PROFILE'];
+        let required = name != null;
+        name = name || 'default';
+
+        let file = this.getCredentialsFile();
+        fs.readFile(file, 'utf8', (err, content) => {
+            let profile = err == null ? this.parseProfiles(content)[name] : null;
+
+            if (profile == null || profile['aws_access_key_id'] == null) {
+                err = required
+                    ? new ConfigException(
+                        correlationId,
+                        'NO_AWS_PROFILE',
+                        'AWS profile ' + name + ' is not found in ' + file
+                    ).withDetails('profile', name).withDetails('file', file)
+                    : null;
+                callback(err, false);
+                return;
+            }
+
+            callback(null, true);
+        });
+    }
+}
@@ -0,0 +1,21 @@
+/** @module connect */
+
+/**
+ * Names of reserved commands handled by [[LambdaFunction]] itself.
+ *
+ * They are shared by lambda functions and clients, so clients can call
+ * the commands without depending on the lambda function container.
+ *
+ * @see [[LambdaFunction]]
+ * @see [[LambdaClient]]
+ */
+export class LambdaCommands {
+    /**
+     * The name of reserved command that describes lambda function.
+     */
+    public static readonly Describe = '$describe';
+    /**
+     * The name of reserved command that executes a batch of commands.
+     */
+    public static readonly Batch = '$batch';
+}
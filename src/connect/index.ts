@@ -1,3 +1,9 @@
 /** @module connect */
 export { AwsConnectionParams } from './AwsConnectionParams';
-export { AwsConnectionResolver } from './AwsConnectionResolver';
\ No newline at end of file
+export { AwsConnectionResolver } from './AwsConnectionResolver';
+export { AwsClientOptions } from './AwsClientOptions';
+export { AwsClientFactory } from './AwsClientFactory';
+export { AwsCredentialProviderChain } from './AwsCredentialProviderChain';
+export { AwsAssumeRoleProvider } from './AwsAssumeRoleProvider';
+export { AwsArn } from './AwsArn';
+export { LambdaCommands } from './LambdaCommands';
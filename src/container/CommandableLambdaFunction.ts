@@ -1,4 +1,7 @@
 /** @module container */
+/** @hidden */ 
+let _ = require('lodash');
+
 import { ICommandable } from 'pip-services3-commons-node';
 import { CommandSet } from 'pip-services3-commons-node';
 import { Parameters } from 'pip-services3-commons-node';
@@ -9,12 +12,16 @@ import { LambdaFunction } from './LambdaFunction';
  * Abstract AWS Lambda function, that acts as a container to instantiate and run components
  * and expose them via external entry point. All actions are automatically generated for commands
  * defined in [[https://pip-services3-node.github.io/pip-services3-commons-node/interfaces/commands.icommandable.html ICommandable components]]. Each command is exposed as an action defined by "cmd" parameter.
+ * Interceptors registered via [[registerInterceptor]] or added to references are applied to the commands as well.
+ * Parameters of the commands are described with their schemas by reserved <code>"$describe"</code> command.
  *  
  * Container configuration for this Lambda function is stored in <code>"./config/config.yml"</code> file.
  * But this path can be overriden by <code>CONFIG_PATH</code> environment variable.
  * 
  * ### Configuration parameters ###
  * 
+ * - options:
+ *     - timeout_margin:              (optional) safety margin in milliseconds before AWS Lambda time limit (default: 500)
  * - dependencies:
  *     - controller:                  override for Controller dependency
  * - connections:                   
@@ -31,6 +38,8 @@ import { LambdaFunction } from './LambdaFunction';
  * - <code>\*:counters:\*:\*:1.0</code>          (optional) [[https://pip-services3-node.github.io/pip-services3-components-node/interfaces/count.icounters.html ICounters]] components to pass collected measurements
  * - <code>\*:discovery:\*:\*:1.0</code>         (optional) [[https://pip-services3-node.github.io/pip-services3-components-node/interfaces/connect.idiscovery.html IDiscovery]] services to resolve connection
  * - <code>\*:credential-store:\*:\*:1.0</code>  (optional) Credential stores to resolve credentials
+ * - <code>\*:lambda-interceptor:\*:\*:1.0</code> (optional) [[ILambdaInterceptor]] components applied to all actions,
+ *                                              except ones registered by descriptor via [[registerInterceptor]]
  * 
  * @see [[LambdaClient]]
  * 
@@ -82,6 +91,12 @@ export abstract class CommandableLambdaFunction extends LambdaFunction {
                     callback(err, result);
                 })
             });
+
+            // Commands validate parameters by themselves, the schema is kept for description.
+            // Standard commands keep it internally, custom ones can expose it via getSchema()
+            let describable: any = command;
+            this._schemas[command.getName()] = _.isFunction(describable.getSchema)
+                ? describable.getSchema() : describable._schema;
         }
     }
 
@@ -0,0 +1,42 @@
+/** @module container */
+
+/**
+ * Interface for interceptors that wrap calls to actions registered in [[LambdaFunction]].
+ * Interceptors are used to implement cross-cutting concerns like authentication,
+ * auditing, rate limiting, payload redaction or timing.
+ * 
+ * An interceptor can modify parameters before calling the next interceptor or action,
+ * inspect and change result or error after the call, or short-circuit the call
+ * by calling the callback without calling next.
+ * 
+ * @see [[LambdaFunction]]
+ * 
+ * ### Example ###
+ * 
+ *     class AuthInterceptor implements ILambdaInterceptor {
+ *         public intercept(cmd: string, params: any, context: any,
+ *             next: (params: any, callback: (err: any, result: any) => void) => void,
+ *             callback: (err: any, result: any) => void): void {
+ *             if (params.token == null) {
+ *                 let err = new UnauthorizedException(params.correlation_id, 'NO_TOKEN', 'Token is missing');
+ *                 callback(err, null);
+ *                 return;
+ *             }
+ *             next(params, callback);
+ *         }
+ *     }
+ */
+export interface ILambdaInterceptor {
+    /**
+     * Intercepts a call to an action.
+     * 
+     * @param cmd           a name of the called action.
+     * @param params        action parameters received in the event.
+     * @param context       a Lambda context object.
+     * @param next          a function that calls the next interceptor or the action itself.
+     * @param callback      callback function that receives action result or error.
+     */
+    intercept(cmd: string, params: any, context: any,
+        next: (params: any, callback: (err: any, result: any) => void) => void,
+        callback: (err: any, result: any) => void): void;
+}
@@ -0,0 +1,135 @@
+/** @module container */
+/** @hidden */
+let _ = require('lodash');
+
+import { Schema } from 'pip-services3-commons-node';
+import { ObjectSchema } from 'pip-services3-commons-node';
+import { ArraySchema } from 'pip-services3-commons-node';
+import { MapSchema } from 'pip-services3-commons-node';
+import { TypeCode } from 'pip-services3-commons-node';
+
+/**
+ * Helper class to convert validation schemas into JSON schema representation.
+ * It is used to describe actions exposed by [[LambdaFunction]].
+ * 
+ * ### Example ###
+ * 
+ *     let schema = new ObjectSchema(true)
+ *         .withRequiredProperty("id", TypeCode.String);
+ *     
+ *     let result = JsonSchemaConverter.toJsonSchema(schema);
+ *     // Result: { type: "object", properties: { id: { type: "string" } }, required: ["id"] }
+ */
+export class JsonSchemaConverter {
+
+    private static typeCodeToJsonSchema(typeCode: TypeCode): any {
+        switch (typeCode) {
+            case TypeCode.String:
+            case TypeCode.Enum:
+                return { type: 'string' };
+            case TypeCode.Boolean:
+                return { type: 'boolean' };
+            case TypeCode.Integer:
+            case TypeCode.Long:
+            case TypeCode.Duration:
+                return { type: 'integer' };
+            case TypeCode.Float:
+            case TypeCode.Double:
+                return { type: 'number' };
+            case TypeCode.DateTime:
+                return { type: 'string', format: 'date-time' };
+            case TypeCode.Object:
+            case TypeCode.Map:
+                return { type: 'object' };
+            case TypeCode.Array:
+                return { type: 'array' };
+            default:
+                return {};
+        }
+    }
+
+    private static typeNameToJsonSchema(typeName: string): any {
+        switch (typeName.toLowerCase()) {
+            case 'string':
+            case 'enum':
+                return { type: 'string' };
+            case 'boolean':
+            case 'bool':
+                return { type: 'boolean' };
+            case 'integer':
+            case 'int':
+            case 'long':
+            case 'duration':
+                return { type: 'integer' };
+            case 'float':
+            case 'double':
+            case 'number':
+                return { type: 'number' };
+            case 'datetime':
+            case 'date':
+                return { type: 'string', format: 'date-time' };
+            case 'object':
+            case 'map':
+                return { type: 'object' };
+            case 'array':
+                return { type: 'array' };
+            default:
+                return {};
+        }
+    }
+
+    /**
+     * Converts a validation schema or a property type into JSON schema.
+     * 
+     * @param schema    a validation schema, TypeCode or a type name.
+     * @returns a JSON schema object or null when schema is not defined.
+     */
+    public static toJsonSchema(schema: any): any {
+        if (schema == null) return null;
+
+        if (_.isNumber(schema))
+            return JsonSchemaConverter.typeCodeToJsonSchema(schema);
+
+        if (_.isString(schema))
+            return JsonSchemaConverter.typeNameToJsonSchema(schema);
+
+        if (schema instanceof ObjectSchema) {
+            let result: any = { type: 'object', properties: {} };
+            let required = [];
+
+            for (let property of schema.getProperties() || []) {
+                result.properties[property.getName()] =
+                    JsonSchemaConverter.toJsonSchema(property.getType()) || {};
+                if (property.isRequired())
+                    required.push(property.getName());
+            }
+
+            if (required.length > 0)
+                result.required = required;
+            if (!schema.isUndefinedAllowed)
+                result.additionalProperties = false;
+
+            return result;
+        }
+
+        if (schema instanceof ArraySchema) {
+            let result: any = { type: 'array' };
+            let items = JsonSchemaConverter.toJsonSchema(schema.getValueType());
+            if (items != null) result.items = items;
+            return result;
+        }
+
+        if (schema instanceof MapSchema) {
+            let result: any = { type: 'object' };
+            let values = JsonSchemaConverter.toJsonSchema(schema.getValueType());
+            if (values != null) result.additionalProperties = values;
+            return result;
+        }
+
+        if (schema instanceof Schema)
+            return {};
+
+        return null;
+    }
+
+}
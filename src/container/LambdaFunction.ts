@@ -2,31 +2,83 @@
 /** @hidden */ 
 let _ = require('lodash');
 /** @hidden */ 
+let async = require('async');
+/** @hidden */ 
 let process = require('process');
 
 import { ConfigParams } from 'pip-services3-commons-node';
 import { IReferences } from 'pip-services3-commons-node';
 import { DependencyResolver } from 'pip-services3-commons-node';
+import { Descriptor } from 'pip-services3-commons-node';
 import { Schema } from 'pip-services3-commons-node';
+import { IdGenerator } from 'pip-services3-commons-node';
 import { UnknownException } from 'pip-services3-commons-node';
 import { BadRequestException } from 'pip-services3-commons-node';
+import { NotFoundException } from 'pip-services3-commons-node';
+import { ErrorDescriptionFactory } from 'pip-services3-commons-node';
 import { Container } from 'pip-services3-container-node';
 import { CounterTiming } from 'pip-services3-components-node';
 import { ConsoleLogger } from 'pip-services3-components-node';
 import { CompositeCounters } from 'pip-services3-components-node';
+import { JsonConfigReader } from 'pip-services3-components-node';
+import { YamlConfigReader } from 'pip-services3-components-node';
+
+import { LambdaCommands } from '../connect/LambdaCommands';
+import { ILambdaInterceptor } from './ILambdaInterceptor';
+import { JsonSchemaConverter } from './JsonSchemaConverter';
+import { LambdaTimeoutException } from './LambdaTimeoutException';
 
 /**
  * Abstract AWS Lambda function, that acts as a container to instantiate and run components
  * and expose them via external entry point. 
  * 
  * When handling calls "cmd" parameter determines which what action shall be called, while
- * other parameters are passed to the action itself.
+ * other parameters are passed to the action itself. Actions can either accept a callback
+ * or return a Promise (i.e. be declared as <code>async</code>).
+ * 
+ * The function also accepts AWS API Gateway proxy events (REST API v1 and HTTP API v2 payload formats).
+ * Such events are matched against routes registered via [[registerRoute]] and dispatched to the
+ * corresponding actions. Path parameters, query string parameters and JSON body are merged
+ * into action parameters, and action results or errors are returned as HTTP responses.
+ * 
+ * Actions receive Lambda context as the third argument. When the function runs in AWS Lambda,
+ * the invocation fails with [[LambdaTimeoutException]] shortly before the platform time limit,
+ * and "deadline" property of the context tells actions when that happens. Before the error is returned
+ * cached log messages and counters are flushed, so they are not lost when the function is frozen.
+ * Flushing is limited to half of the time left before the platform time limit.
+ * The safety margin is set by "options.timeout_margin" configuration parameter.
+ * 
+ * Every function answers reserved <code>"$describe"</code> command with the function name, description,
+ * registered actions with JSON schemas of their parameters and registered HTTP routes.
+ * 
+ * Several commands can be sent in a single invocation with reserved <code>"$batch"</code> command.
+ * Its "commands" parameter contains an array of <code>{ cmd, params }</code> entries that are executed
+ * sequentially, or in parallel when "parallel" parameter is true. The result is an array
+ * with <code>{ cmd, result }</code> or <code>{ cmd, error }</code> entries in the same order,
+ * so failures of individual commands do not fail the entire batch.
+ * 
+ * Calls to actions can be wrapped by interceptors registered via [[registerInterceptor]]
+ * for all or specific actions, or added to the container references.
+ * 
+ * Messages from AWS SQS triggers are processed by actions registered via [[registerQueueAction]].
+ * Failed messages are reported back as "batchItemFailures", so only they are retried.
+ * 
+ * AWS SNS notifications, EventBridge events and scheduled events are dispatched to actions
+ * registered via [[registerTopicAction]], [[registerEventAction]] and [[registerScheduleAction]].
+ * Those actions receive a normalized envelope with "correlation_id" extracted from the event or generated.
+ * 
+ * AWS S3 object notifications and DynamoDB Streams records are processed by actions registered
+ * via [[registerObjectAction]] and [[registerStreamAction]]. Failed stream records are reported
+ * as "batchItemFailures" to keep stream checkpoints correct.
  * 
  * Container configuration for this Lambda function is stored in <code>"./config/config.yml"</code> file.
  * But this path can be overriden by <code>CONFIG_PATH</code> environment variable.
  * 
  * ### Configuration parameters ###
  * 
+ * - options:
+ *     - timeout_margin:              (optional) safety margin in milliseconds before AWS Lambda time limit (default: 500),
+ *                                    it can be overriden by <code>TIMEOUT_MARGIN</code> environment variable
  * - dependencies:
  *     - controller:                  override for Controller dependency
  * - connections:                   
@@ -43,6 +95,8 @@ import { CompositeCounters } from 'pip-services3-components-node';
  * - <code>\*:counters:\*:\*:1.0</code>          (optional) [[https://pip-services3-node.github.io/pip-services3-components-node/interfaces/count.icounters.html ICounters]] components to pass collected measurements
  * - <code>\*:discovery:\*:\*:1.0</code>         (optional) [[https://pip-services3-node.github.io/pip-services3-components-node/interfaces/connect.idiscovery.html IDiscovery]] services to resolve connection
  * - <code>\*:credential-store:\*:\*:1.0</code>  (optional) Credential stores to resolve credentials
+ * - <code>\*:lambda-interceptor:\*:\*:1.0</code> (optional) [[ILambdaInterceptor]] components applied to all actions,
+ *                                              except ones registered by descriptor via [[registerInterceptor]]
  * 
  * @see [[LambdaClient]]
  * 
@@ -70,6 +124,10 @@ import { CompositeCounters } from 'pip-services3-components-node';
  *                 let id = params.id;
  *                 this._controller.getMyData(correlationId, id, callback);
  *             });
+ *             registerAction("set_mydata", null, async (params) => {
+ *                 return await this._controller.setMyData(params.correlation_id, params.data);
+ *             });
+ *             registerRoute("get", "/mydata/:id", "get_mydata");
  *             ...
  *         }
  *     }
@@ -81,6 +139,15 @@ import { CompositeCounters } from 'pip-services3-components-node';
  *     });
  */
 export abstract class LambdaFunction extends Container {
+    /**
+     * The name of reserved command that describes this lambda function.
+     */
+    public static readonly DescribeCommand = LambdaCommands.Describe;
+    /**
+     * The name of reserved command that executes a batch of commands.
+     */
+    public static readonly BatchCommand = LambdaCommands.Batch;
+
     /**
      * The performanc counters.
      */
@@ -97,10 +164,49 @@ export abstract class LambdaFunction extends Container {
      * The map of registered actions.
      */
     protected _actions: { [id: string]: any } = {};
+    /**
+     * The list of registered action interceptors.
+     */
+    protected _interceptors: { cmd: string, interceptor: any }[] = [];
+    /**
+     * The list of registered HTTP routes.
+     */
+    protected _routes: { method: string, route: string, segments: string[], cmd: string }[] = [];
+    /**
+     * The list of registered SQS queue actions.
+     */
+    protected _queueActions: { queue: string, action: any, concurrency: number }[] = [];
+    /**
+     * The list of registered SNS topic actions.
+     */
+    protected _topicActions: { topic: string, action: any }[] = [];
+    /**
+     * The list of registered EventBridge event actions.
+     */
+    protected _eventActions: { source: string, detailType: string, action: any }[] = [];
+    /**
+     * The list of registered scheduled actions.
+     */
+    protected _scheduleActions: { rule: string, action: any }[] = [];
+    /**
+     * The list of registered S3 object actions.
+     */
+    protected _objectActions: { bucket: string, prefix: string, suffix: string, action: any }[] = [];
+    /**
+     * The list of registered DynamoDB stream actions.
+     */
+    protected _streamActions: { table: string, eventName: string, action: any, concurrency: number }[] = [];
     /**
      * The default path to config file.
      */
     protected _configPath: string = './config/config.yml';
+    /**
+     * The safety margin in milliseconds before AWS Lambda time limit
+     * when invocation fails with [[LambdaTimeoutException]].
+     * It is set by "options.timeout_margin" configuration parameter
+     * and can be overriden by <code>TIMEOUT_MARGIN</code> environment variable.
+     */
+    protected _timeoutMargin: number = 500;
 
     /**
      * Creates a new instance of this lambda function.
@@ -146,6 +252,44 @@ export abstract class LambdaFunction extends Container {
         });
     }
 
+    /**
+     * Configures the container and this lambda function.
+     * Function options are taken from "options" section,
+     * all other sections describe container components.
+     * 
+     * @param config    configuration parameters to be set.
+     */
+    public configure(config: ConfigParams): void {
+        let options = config.getSection('options');
+        this._timeoutMargin = options.getAsIntegerWithDefault('timeout_margin', this._timeoutMargin);
+
+        let componentsConfig = new ConfigParams();
+        for (let key of config.getKeys()) {
+            if (key.indexOf('options.') != 0)
+                componentsConfig.put(key, config.get(key));
+        }
+        super.configure(componentsConfig);
+    }
+
+    /**
+     * Reads container configuration from JSON or YAML file
+     * and parameterizes it with given values.
+     * The file can also contain "options" section with function options.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param path              a path to configuration file
+     * @param parameters        values to parameters the configuration or null to skip parameterization.
+     */
+    public readConfigFromFile(correlationId: string, path: string, parameters: ConfigParams): void {
+        let ext = (path || '').split('.').pop();
+        let config = ext == 'yaml' || ext == 'yml'
+            ? YamlConfigReader.readConfig(correlationId, path, parameters)
+            : JsonConfigReader.readConfig(correlationId, path, parameters);
+
+        this.configure(config);
+        this._logger.trace(correlationId, this._config.toString());
+    }
+
 	/**
 	 * Sets references to dependent components.
 	 * 
@@ -157,6 +301,40 @@ export abstract class LambdaFunction extends Container {
         this._dependencyResolver.setReferences(references);
 
         this.register();
+
+        if (this._actions[LambdaFunction.DescribeCommand] == null)
+            this.registerAction(LambdaFunction.DescribeCommand, null, (params, callback) => {
+                callback(null, this.describe());
+            });
+    }
+
+    /**
+     * Describes this lambda function: its name and description from ContextInfo,
+     * registered actions with JSON schemas of their parameters and HTTP routes.
+     * It is returned by the reserved <code>"$describe"</code> command.
+     * 
+     * @returns an object with function description.
+     */
+    protected describe(): any {
+        let actions = [];
+        for (let cmd of _.keys(this._actions)) {
+            if (cmd == LambdaFunction.DescribeCommand) continue;
+            actions.push({
+                name: cmd,
+                schema: JsonSchemaConverter.toJsonSchema(this._schemas[cmd])
+            });
+        }
+
+        let routes = _.map(this._routes, (r) => {
+            return { method: r.method, route: r.route, cmd: r.cmd };
+        });
+
+        return {
+            name: this._info.name,
+            description: this._info.description,
+            actions: actions,
+            routes: routes
+        };
     }
 
     /**
@@ -205,12 +383,19 @@ export abstract class LambdaFunction extends Container {
      * @param cmd           a action/command name.
      * @param schema        a validation schema to validate received parameters.
      * @param action        an action function that is called when action is invoked.
+     *                      It can either call the callback or return a Promise, but not both.
+     *                      Actions receive Lambda context as the third argument.
      */
     protected registerAction(cmd: string, schema: Schema, 
-        action: (params: any, callback: (err: any, result: any) => void) => void): void {
+        action: (params: any, callback?: (err: any, result: any) => void, context?: any) => void | Promise<any>): void {
         if (cmd == '')
             throw new UnknownException(null, 'NO_COMMAND', 'Missing command');
 
+        this._actions[cmd] = this.wrapAction(schema, action);
+        this._schemas[cmd] = schema;
+    }
+
+    private wrapAction(schema: Schema, action: (params: any, callback?: (err: any, result: any) => void, context?: any) => void | Promise<any>): any {
         if (action == null)
             throw new UnknownException(null, 'NO_ACTION', 'Missing action');
 
@@ -218,10 +403,10 @@ export abstract class LambdaFunction extends Container {
             throw new UnknownException(null, 'ACTION_NOT_FUNCTION', 'Action is not a function');
 
         // Hack!!! Wrapping action to preserve prototyping context
-        let actionCurl = (params, callback) => { 
+        let actionCurl = (params, callback, context?) => { 
             // Perform validation
             if (schema != null) {
-                let correlationId = params.correlaton_id;
+                let correlationId = params.correlation_id;
                 let err = schema.validateAndReturnException(correlationId, params, false);
                 if (err != null) {
                     callback(err, null);
@@ -230,15 +415,938 @@ export abstract class LambdaFunction extends Container {
             }
 
             // Todo: perform verification?
-            action.call(this, params, callback); 
+            let done = _.once(callback);
+            let result = action.call(this, params, done, context);
+
+            // Actions that return a promise are completed when it settles,
+            // whatever parameters they declare
+            if (result != null && _.isFunction(result.then)) {
+                result.then(
+                    (value) => { done(null, value); },
+                    (err) => { done(err, null); }
+                );
+            }
         };
 
-        this._actions[cmd] = actionCurl;
+        return actionCurl;
+    }
+
+    /**
+     * Registers an interceptor that wraps calls to actions.
+     * Interceptors are called in the order of registration: global interceptors first,
+     * then interceptors registered for the specific action.
+     * 
+     * @param interceptor   an interceptor object, intercept function or a descriptor to locate the interceptor in references.
+     * @param cmd           (optional) an action name. If it is omitted, the interceptor is applied to all actions.
+     * 
+     * @see [[ILambdaInterceptor]]
+     */
+    protected registerInterceptor(interceptor: ILambdaInterceptor | Descriptor
+        | ((cmd: string, params: any, context: any,
+            next: (params: any, callback: (err: any, result: any) => void) => void,
+            callback: (err: any, result: any) => void) => void),
+        cmd?: string): void {
+        if (interceptor == null)
+            throw new UnknownException(null, 'NO_INTERCEPTOR', 'Missing interceptor');
+
+        this._interceptors.push({
+            cmd: cmd || null,
+            interceptor: interceptor
+        });
+    }
+
+    private getReferencedInterceptors(descriptor: Descriptor): ILambdaInterceptor[] {
+        return this._references != null
+            ? this._references.getOptional<ILambdaInterceptor>(descriptor) : [];
     }
 
-    private execute(event: any, context: any) {
+    private getInterceptors(cmd: string): ILambdaInterceptor[] {
+        let result: ILambdaInterceptor[] = [];
+
+        // Interceptors located by registered descriptors are applied only where they are registered
+        let registered: ILambdaInterceptor[] = [];
+        for (let item of this._interceptors) {
+            if (item.interceptor instanceof Descriptor)
+                registered.push(...this.getReferencedInterceptors(item.interceptor));
+        }
+
+        // Other interceptors added to references are applied first
+        let references = this.getReferencedInterceptors(new Descriptor('*', 'lambda-interceptor', '*', '*', '1.0'));
+        result.push(..._.difference(references, registered));
+
+        let interceptors = _.filter(this._interceptors, (i) => i.cmd == null)
+            .concat(_.filter(this._interceptors, (i) => i.cmd == cmd));
+
+        for (let item of interceptors) {
+            let interceptor = item.interceptor;
+
+            if (interceptor instanceof Descriptor) {
+                result.push(...this.getReferencedInterceptors(interceptor));
+            } else if (_.isFunction(interceptor)) {
+                result.push({ intercept: interceptor });
+            } else {
+                result.push(interceptor);
+            }
+        }
+
+        // The same component is called only once
+        return _.uniq(result);
+    }
+
+    /**
+     * Executes a registered action through the chain of interceptors.
+     * 
+     * @param cmd           a name of the action to execute.
+     * @param params        action parameters.
+     * @param context       a Lambda context object.
+     * @param callback      callback function that receives action result or error.
+     */
+    protected executeAction(cmd: string, params: any, context: any,
+        callback: (err: any, result: any) => void): void {
+        let action: any = this._actions[cmd];
+        let interceptors = this.getInterceptors(cmd);
+
+        let next = (index: number) => {
+            return (params: any, callback: (err: any, result: any) => void) => {
+                if (index >= interceptors.length) {
+                    action(params, callback, context);
+                    return;
+                }
+
+                interceptors[index].intercept(cmd, params, context, next(index + 1), callback);
+            };
+        };
+
+        next(0)(params, callback);
+    }
+
+    /**
+     * Registers an action to process messages received from AWS SQS queue.
+     * Each message body is parsed as JSON and passed to the action as parameters,
+     * "correlation_id" is taken from the message attributes, the body or generated.
+     * Messages that failed are reported in "batchItemFailures" to be retried.
+     * 
+     * @param queue         a queue name or ARN, or "*" to process messages from any queue.
+     * @param schema        a validation schema to validate message parameters.
+     * @param action        an action function that is called for every message.
+     * @param concurrency   (optional) maximum number of messages processed in parallel (default: 1).
+     */
+    protected registerQueueAction(queue: string, schema: Schema,
+        action: (params: any, callback?: (err: any, result: any) => void, context?: any) => void | Promise<any>,
+        concurrency: number = 1): void {
+        if (queue == null || queue == '')
+            throw new UnknownException(null, 'NO_QUEUE', 'Missing queue');
+
+        this._queueActions.push({
+            queue: queue,
+            action: this.wrapAction(schema, action),
+            concurrency: Math.max(concurrency || 1, 1)
+        });
+    }
+
+    /**
+     * Registers an action to process notifications received from AWS SNS topic.
+     * The action receives an envelope with "correlation_id", "id", "time", "topic",
+     * "subject", "attributes" and "message" parsed from JSON when possible.
+     * 
+     * @param topic         a topic name or ARN, or "*" to process notifications from any topic.
+     * @param schema        a validation schema to validate the notification envelope.
+     * @param action        an action function that is called for every notification.
+     */
+    protected registerTopicAction(topic: string, schema: Schema,
+        action: (params: any, callback?: (err: any, result: any) => void, context?: any) => void | Promise<any>): void {
+        if (topic == null || topic == '')
+            throw new UnknownException(null, 'NO_TOPIC', 'Missing topic');
+
+        this._topicActions.push({
+            topic: topic,
+            action: this.wrapAction(schema, action)
+        });
+    }
+
+    /**
+     * Registers an action to process events received from AWS EventBridge.
+     * Source and detail type may contain "*" wildcards.
+     * The action receives an envelope with "correlation_id", "id", "time", "source",
+     * "detail_type", "account", "region", "resources" and "detail".
+     * 
+     * @param source        an event source pattern, for instance "myapp.*".
+     * @param detailType    (optional) an event detail type pattern (default: "*").
+     * @param schema        a validation schema to validate the event envelope.
+     * @param action        an action function that is called for every event.
+     */
+    protected registerEventAction(source: string, detailType: string, schema: Schema,
+        action: (params: any, callback?: (err: any, result: any) => void, context?: any) => void | Promise<any>): void {
+        if (source == null || source == '')
+            throw new UnknownException(null, 'NO_SOURCE', 'Missing event source');
+
+        this._eventActions.push({
+            source: source,
+            detailType: detailType || '*',
+            action: this.wrapAction(schema, action)
+        });
+    }
+
+    /**
+     * Registers an action to process scheduled events triggered by EventBridge (CloudWatch Events) rules.
+     * The action receives an envelope with "correlation_id", "id", "time", "rule", "resources" and "detail".
+     * 
+     * @param rule          a schedule rule name or ARN, or "*" to process events from any rule.
+     * @param action        an action function that is called on every scheduled event.
+     */
+    protected registerScheduleAction(rule: string,
+        action: (params: any, callback?: (err: any, result: any) => void, context?: any) => void | Promise<any>): void {
+        if (rule == null || rule == '')
+            throw new UnknownException(null, 'NO_RULE', 'Missing schedule rule');
+
+        this._scheduleActions.push({
+            rule: rule,
+            action: this.wrapAction(null, action)
+        });
+    }
+
+    /**
+     * Registers an action to process AWS S3 object notifications.
+     * The action receives an envelope with "correlation_id", "event_name", "time",
+     * "region", "bucket", "key" (URL-decoded), "size", "etag" and "version_id".
+     * 
+     * @param bucket        a bucket name, or "*" to process notifications from any bucket.
+     * @param prefix        (optional) a prefix that object keys shall start with.
+     * @param suffix        (optional) a suffix that object keys shall end with.
+     * @param action        an action function that is called for every object notification.
+     */
+    protected registerObjectAction(bucket: string, prefix: string, suffix: string,
+        action: (params: any, callback?: (err: any, result: any) => void, context?: any) => void | Promise<any>): void {
+        if (bucket == null || bucket == '')
+            throw new UnknownException(null, 'NO_BUCKET', 'Missing bucket');
+
+        this._objectActions.push({
+            bucket: bucket,
+            prefix: prefix || '',
+            suffix: suffix || '',
+            action: this.wrapAction(null, action)
+        });
+    }
+
+    /**
+     * Registers an action to process AWS DynamoDB Streams records.
+     * The action receives an envelope with "correlation_id", "event_id", "event_name", "table",
+     * "keys", "new_image" and "old_image" unmarshalled into plain objects.
+     * Failed records are reported in "batchItemFailures".
+     * 
+     * @param table         a table name, or "*" to process records from any table.
+     * @param eventName     (optional) an event name: "INSERT", "MODIFY", "REMOVE" or "*" (default).
+     * @param schema        a validation schema to validate the record envelope.
+     * @param action        an action function that is called for every stream record.
+     * @param concurrency   (optional) maximum number of records processed in parallel (default: 1).
+     */
+    protected registerStreamAction(table: string, eventName: string, schema: Schema,
+        action: (params: any, callback?: (err: any, result: any) => void, context?: any) => void | Promise<any>,
+        concurrency: number = 1): void {
+        if (table == null || table == '')
+            throw new UnknownException(null, 'NO_TABLE', 'Missing table');
+
+        this._streamActions.push({
+            table: table,
+            eventName: (eventName || '*').toUpperCase(),
+            action: this.wrapAction(schema, action),
+            concurrency: Math.max(concurrency || 1, 1)
+        });
+    }
+
+    /**
+     * Registers an HTTP route that maps AWS API Gateway proxy events to a registered action.
+     * Route segments that start with ":" or enclosed into "{}" are treated as path parameters.
+     * 
+     * @param method        a HTTP method: "get", "post", "put", "delete" or "*" for any method.
+     * @param route         a route path, for instance "/dummies/:dummy_id".
+     * @param cmd           a name of the action registered via [[registerAction]].
+     */
+    protected registerRoute(method: string, route: string, cmd: string): void {
+        if (route == null || route == '')
+            throw new UnknownException(null, 'NO_ROUTE', 'Missing route');
+
+        if (cmd == null || cmd == '')
+            throw new UnknownException(null, 'NO_COMMAND', 'Missing command');
+
+        method = (method || '*').toUpperCase();
+        if (method == 'ANY') method = '*';
+
+        this._routes.push({
+            method: method,
+            route: route,
+            segments: this.splitPath(route),
+            cmd: cmd
+        });
+    }
+
+    private splitPath(path: string): string[] {
+        return _.filter((path || '').split('/'), (s) => s != '');
+    }
+
+    private matchRoute(method: string, path: string): any {
+        let segments = this.splitPath(path);
+
+        for (let route of this._routes) {
+            if (route.method != '*' && route.method != method) continue;
+            if (route.segments.length != segments.length) continue;
+
+            let params = {};
+            let matched = true;
+            for (let index = 0; index < segments.length && matched; index++) {
+                let routeSegment = route.segments[index];
+                let segment = decodeURIComponent(segments[index]);
+
+                if (routeSegment.startsWith(':')) {
+                    params[routeSegment.substring(1)] = segment;
+                } else if (routeSegment.startsWith('{') && routeSegment.endsWith('}')) {
+                    params[routeSegment.substring(1, routeSegment.length - 1)] = segment;
+                } else {
+                    matched = routeSegment == segment;
+                }
+            }
+
+            if (matched) return { cmd: route.cmd, params: params };
+        }
+
+        return null;
+    }
+
+    /**
+     * Checks if the event is an AWS API Gateway proxy event.
+     * Both REST API (v1) and HTTP API (v2) payload formats are recognized.
+     * 
+     * @param event     an incoming event object.
+     * @returns true if the event came from API Gateway and false otherwise.
+     */
+    protected isHttpEvent(event: any): boolean {
+        if (event == null || event.cmd != null) return false;
+        if (_.isString(event.httpMethod)) return true;
+        return event.version == '2.0' && event.requestContext != null
+            && event.requestContext.http != null;
+    }
+
+    private getHeader(headers: any, name: string): string {
+        if (headers == null) return null;
+        name = name.toLowerCase();
+        for (let key in headers) {
+            if (key.toLowerCase() == name) return headers[key];
+        }
+        return null;
+    }
+
+    /**
+     * Converts action result or error into an API Gateway proxy response.
+     * Results are returned with 200 status code, empty results with 204,
+     * errors are returned as ErrorDescription with their status code (500 by default).
+     * 
+     * @param err       an error returned by the action.
+     * @param result    a result returned by the action.
+     * @returns a response object with statusCode, headers and body.
+     */
+    protected composeHttpResponse(err: any, result: any): any {
+        let headers = { 'Content-Type': 'application/json' };
+
+        if (err != null) {
+            let error = ErrorDescriptionFactory.create(err);
+            return {
+                statusCode: error.status || 500,
+                headers: headers,
+                body: JSON.stringify(error)
+            };
+        }
+
+        if (result == null) {
+            return {
+                statusCode: 204,
+                headers: headers,
+                body: ''
+            };
+        }
+
+        return {
+            statusCode: 200,
+            headers: headers,
+            body: JSON.stringify(result)
+        };
+    }
+
+    private executeHttp(event: any, context: any, callback: (err: any, result: any) => void) {
+        let v2 = event.version == '2.0';
+        let method: string = (v2 ? event.requestContext.http.method : event.httpMethod).toUpperCase();
+        let path: string = v2 ? event.rawPath : event.path;
+        let query = event.queryStringParameters || {};
+        let correlationId = query.correlation_id || this.getHeader(event.headers, 'correlation_id');
+
+        // Remove stage prefix from HTTP API paths
+        let stage = event.requestContext != null ? event.requestContext.stage : null;
+        if (v2 && stage && stage != '$default' && (path || '').startsWith('/' + stage + '/'))
+            path = path.substring(stage.length + 1);
+
+        let route: any;
+        try {
+            route = this.matchRoute(method, path);
+        } catch (ex) {
+            let err = new BadRequestException(
+                correlationId,
+                'INVALID_PATH',
+                'Path ' + path + ' is not correctly encoded'
+            )
+            .withDetails('path', path)
+            .withCause(ex);
+
+            callback(null, this.composeHttpResponse(err, null));
+            return;
+        }
+
+        if (route == null) {
+            let err = new NotFoundException(
+                correlationId,
+                'ROUTE_NOT_FOUND',
+                'Route ' + method + ' ' + path + ' was not found'
+            )
+            .withDetails('method', method)
+            .withDetails('path', path);
+
+            callback(null, this.composeHttpResponse(err, null));
+            return;
+        }
+
+        let action: any = this._actions[route.cmd];
+        if (action == null) {
+            let err = new NotFoundException(
+                correlationId,
+                'NO_ACTION',
+                'Action ' + route.cmd + ' was not found'
+            )
+            .withDetails('command', route.cmd);
+
+            callback(null, this.composeHttpResponse(err, null));
+            return;
+        }
+
+        let body: any = event.body;
+        if (body != null && body != '') {
+            if (event.isBase64Encoded)
+                body = Buffer.from(body, 'base64').toString('utf8');
+
+            try {
+                body = JSON.parse(body);
+            } catch (ex) {
+                let err = new BadRequestException(
+                    correlationId,
+                    'INVALID_BODY',
+                    'Request body is not a valid JSON'
+                ).withCause(ex);
+
+                callback(null, this.composeHttpResponse(err, null));
+                return;
+            }
+        } else {
+            body = null;
+        }
+
+        let params = _.assign({}, query, route.params);
+        if (_.isPlainObject(body)) params = _.assign(params, body);
+        else if (body != null) params.body = body;
+        params.cmd = route.cmd;
+        params.correlation_id = correlationId;
+
+        this.executeAction(route.cmd, params, context, (err, result) => {
+            callback(null, this.composeHttpResponse(err, result));
+        });
+    }
+
+    /**
+     * Checks if the event contains records delivered by the specified AWS event source.
+     * 
+     * @param event         an incoming event object.
+     * @param eventSource   an event source, for instance "aws:sqs".
+     * @returns true if the event contains records from the event source and false otherwise.
+     */
+    protected isRecordsEvent(event: any, eventSource: string): boolean {
+        if (event == null || event.cmd != null) return false;
+        if (!_.isArray(event.Records) || event.Records.length == 0) return false;
+        let record = event.Records[0];
+        return record.eventSource == eventSource || record.EventSource == eventSource;
+    }
+
+    private getResourceName(arn: string): string {
+        if (arn == null) return null;
+        let pos = arn.lastIndexOf(':');
+        return pos >= 0 ? arn.substring(pos + 1) : arn;
+    }
+
+    private getMessageAttribute(attributes: any, name: string): string {
+        if (attributes == null || attributes[name] == null) return null;
+        let attribute = attributes[name];
+        return attribute.stringValue || attribute.StringValue || attribute.Value || null;
+    }
+
+    /**
+     * Processes a batch of stream or queue records and collects failed records
+     * into "batchItemFailures" response for partial batch failure reporting.
+     * 
+     * @param records       a list of records to process.
+     * @param concurrency   maximum number of records processed in parallel.
+     * @param getId         a function that returns record identifier.
+     * @param processRecord a function that processes a single record.
+     * @param callback      callback function that receives the batch response.
+     */
+    private processRecords(records: any[], concurrency: number,
+        getId: (record: any) => string,
+        processRecord: (record: any, callback: (err: any) => void) => void,
+        callback: (err: any, result: any) => void): void {
+        let failures = [];
+
+        async.eachOfLimit(records, concurrency, (record, index, callback) => {
+            try {
+                processRecord(record, (err) => {
+                    if (err != null)
+                        failures.push({ index: index, itemIdentifier: getId(record) });
+                    callback();
+                });
+            } catch (ex) {
+                failures.push({ index: index, itemIdentifier: getId(record) });
+                callback();
+            }
+        }, () => {
+            failures = _.sortBy(failures, (f) => f.index);
+            callback(null, {
+                batchItemFailures: _.map(failures, (f) => { return { itemIdentifier: f.itemIdentifier }; })
+            });
+        });
+    }
+
+    private findQueueAction(arn: string): any {
+        let name = this.getResourceName(arn);
+        return _.find(this._queueActions, (a) => a.queue == arn || a.queue == name)
+            || _.find(this._queueActions, (a) => a.queue == '*');
+    }
+
+    private matchPattern(pattern: string, value: string): boolean {
+        if (pattern == '*') return true;
+        if (value == null) return false;
+        if (pattern.indexOf('*') < 0) return pattern == value;
+
+        let regex = '^' + _.map(pattern.split('*'), _.escapeRegExp).join('.*') + '$';
+        return new RegExp(regex).test(value);
+    }
+
+    /**
+     * Checks if the event is a scheduled event triggered by EventBridge (CloudWatch Events) rule.
+     * 
+     * @param event     an incoming event object.
+     * @returns true if the event is a scheduled event and false otherwise.
+     */
+    protected isScheduleEvent(event: any): boolean {
+        return event != null && event.cmd == null
+            && event.source == 'aws.events' && event['detail-type'] == 'Scheduled Event';
+    }
+
+    /**
+     * Checks if the event is an EventBridge (CloudWatch Events) event.
+     * 
+     * @param event     an incoming event object.
+     * @returns true if the event came from EventBridge and false otherwise.
+     */
+    protected isEventBridgeEvent(event: any): boolean {
+        return event != null && event.cmd == null
+            && _.isString(event.source) && event['detail-type'] != null;
+    }
+
+    private executeTopic(event: any, context: any, callback: (err: any, result: any) => void) {
+        async.eachSeries(event.Records, (record, callback) => {
+            let sns = record.Sns || {};
+            let attributes = {};
+            _.each(sns.MessageAttributes, (attribute, name) => {
+                attributes[name] = this.getMessageAttribute(sns.MessageAttributes, name);
+            });
+
+            let message = sns.Message;
+            try {
+                message = message != null && message != '' ? JSON.parse(message) : null;
+            } catch (ex) {
+                // Keep message as a string
+            }
+
+            let correlationId = attributes['correlation_id']
+                || (message != null ? message.correlation_id : null)
+                || IdGenerator.nextLong();
+
+            let name = this.getResourceName(sns.TopicArn);
+            let action = _.find(this._topicActions, (a) => a.topic == sns.TopicArn || a.topic == name)
+                || _.find(this._topicActions, (a) => a.topic == '*');
+            if (action == null) {
+                let err = new NotFoundException(
+                    correlationId,
+                    'NO_TOPIC_ACTION',
+                    'Action for topic ' + sns.TopicArn + ' was not found'
+                )
+                .withDetails('topic', sns.TopicArn);
+
+                callback(err);
+                return;
+            }
+
+            let params = {
+                correlation_id: correlationId,
+                id: sns.MessageId,
+                time: sns.Timestamp,
+                topic: sns.TopicArn,
+                subject: sns.Subject,
+                attributes: attributes,
+                message: message
+            };
+
+            action.action(params, (err, result) => {
+                callback(err);
+            }, context);
+        }, (err) => {
+            callback(err, null);
+        });
+    }
+
+    private executeObject(event: any, context: any, callback: (err: any, result: any) => void) {
+        async.eachSeries(event.Records, (record, callback) => {
+            let s3 = record.s3 || {};
+            let bucket = s3.bucket != null ? s3.bucket.name : null;
+            let object = s3.object || {};
+            let correlationId = record.responseElements != null
+                ? record.responseElements['x-amz-request-id'] : null;
+            correlationId = correlationId || IdGenerator.nextLong();
+
+            let key: string = object.key != null ? object.key.replace(/\+/g, ' ') : null;
+            try {
+                key = key != null ? decodeURIComponent(key) : null;
+            } catch (ex) {
+                // Keep the raw key when it is not correctly encoded
+                this._logger.warn(correlationId, 'S3 object key %s is not correctly encoded', object.key);
+                key = object.key;
+            }
+
+            let action = _.find(this._objectActions, (a) => {
+                return (a.bucket == '*' || a.bucket == bucket)
+                    && key != null && key.startsWith(a.prefix) && key.endsWith(a.suffix);
+            });
+            // Skip objects that do not match any filters
+            if (action == null) {
+                this._logger.debug(correlationId, 'Skipped S3 object %s/%s', bucket, key);
+                callback();
+                return;
+            }
+
+            let params = {
+                correlation_id: correlationId,
+                event_name: record.eventName,
+                time: record.eventTime,
+                region: record.awsRegion,
+                bucket: bucket,
+                key: key,
+                size: object.size,
+                etag: object.eTag,
+                version_id: object.versionId
+            };
+
+            action.action(params, (err, result) => {
+                callback(err);
+            }, context);
+        }, (err) => {
+            callback(err, null);
+        });
+    }
+
+    private unmarshallValue(value: any): any {
+        if (value == null) return null;
+        if (value.S != null) return value.S;
+        if (value.N != null) return Number(value.N);
+        if (value.B != null) return Buffer.from(value.B, 'base64');
+        if (value.BOOL != null) return value.BOOL;
+        if (value.NULL != null) return null;
+        if (value.SS != null) return value.SS;
+        if (value.NS != null) return _.map(value.NS, Number);
+        if (value.BS != null) return _.map(value.BS, (b) => Buffer.from(b, 'base64'));
+        if (value.L != null) return _.map(value.L, (v) => this.unmarshallValue(v));
+        if (value.M != null) return this.unmarshall(value.M);
+        return null;
+    }
+
+    /**
+     * Converts DynamoDB attribute map (i.e. {"id":{"S":"1"}}) into a plain object.
+     * 
+     * @param image     a DynamoDB attribute map.
+     * @returns a plain object or null if image is not set.
+     */
+    protected unmarshall(image: any): any {
+        if (image == null) return null;
+
+        let result = {};
+        for (let key in image)
+            result[key] = this.unmarshallValue(image[key]);
+        return result;
+    }
+
+    private executeStream(event: any, context: any, callback: (err: any, result: any) => void) {
+        let getTable = (arn: string) => {
+            let tokens = (arn || '').split('/');
+            return tokens.length > 1 ? tokens[1] : null;
+        };
+        let findAction = (record) => {
+            let table = getTable(record.eventSourceARN);
+            return _.find(this._streamActions, (a) => {
+                return (a.table == '*' || a.table == table)
+                    && (a.eventName == '*' || a.eventName == record.eventName);
+            });
+        };
+
+        let firstAction = findAction(event.Records[0]);
+        let concurrency = firstAction != null ? firstAction.concurrency : 1;
+
+        this.processRecords(event.Records, concurrency,
+            (record) => record.dynamodb != null ? record.dynamodb.SequenceNumber : record.eventID,
+            (record, callback) => {
+                let dynamodb = record.dynamodb || {};
+                let correlationId = record.eventID || IdGenerator.nextLong();
+
+                let action = findAction(record);
+                // Skip records that have no registered actions
+                if (action == null) {
+                    this._logger.debug(correlationId, 'Skipped %s stream record %s', record.eventName, record.eventID);
+                    callback(null);
+                    return;
+                }
+
+                let params = {
+                    correlation_id: correlationId,
+                    event_id: record.eventID,
+                    event_name: record.eventName,
+                    table: getTable(record.eventSourceARN),
+                    keys: this.unmarshall(dynamodb.Keys),
+                    new_image: this.unmarshall(dynamodb.NewImage),
+                    old_image: this.unmarshall(dynamodb.OldImage),
+                    sequence_number: dynamodb.SequenceNumber
+                };
+
+                action.action(params, (err, result) => {
+                    if (err != null)
+                        this._logger.error(correlationId, err, 'Failed to process stream record %s', record.eventID);
+                    callback(err);
+                }, context);
+            },
+            callback
+        );
+    }
+
+    private executeSchedule(event: any, context: any, callback: (err: any, result: any) => void) {
+        let correlationId = (event.detail != null ? event.detail.correlation_id : null)
+            || event.id || IdGenerator.nextLong();
+
+        let ruleArn = _.find(event.resources || [], (r) => r.indexOf(':rule/') > 0) || null;
+        let rule = ruleArn != null ? ruleArn.substring(ruleArn.lastIndexOf('/') + 1) : null;
+
+        let action = _.find(this._scheduleActions, (a) => a.rule == ruleArn || a.rule == rule)
+            || _.find(this._scheduleActions, (a) => a.rule == '*');
+        if (action == null) {
+            let err = new NotFoundException(
+                correlationId,
+                'NO_SCHEDULE_ACTION',
+                'Action for schedule rule ' + rule + ' was not found'
+            )
+            .withDetails('rule', rule);
+
+            callback(err, null);
+            return;
+        }
+
+        let params = {
+            correlation_id: correlationId,
+            id: event.id,
+            time: event.time,
+            rule: rule,
+            resources: event.resources,
+            detail: event.detail
+        };
+
+        action.action(params, callback, context);
+    }
+
+    private executeEventBridge(event: any, context: any, callback: (err: any, result: any) => void) {
+        let correlationId = (event.detail != null ? event.detail.correlation_id : null)
+            || event.id || IdGenerator.nextLong();
+        let detailType = event['detail-type'];
+
+        let action = _.find(this._eventActions,
+            (a) => this.matchPattern(a.source, event.source) && this.matchPattern(a.detailType, detailType));
+        if (action == null) {
+            let err = new NotFoundException(
+                correlationId,
+                'NO_EVENT_ACTION',
+                'Action for event ' + event.source + ' ' + detailType + ' was not found'
+            )
+            .withDetails('source', event.source)
+            .withDetails('detail_type', detailType);
+
+            callback(err, null);
+            return;
+        }
+
+        let params = {
+            correlation_id: correlationId,
+            id: event.id,
+            time: event.time,
+            source: event.source,
+            detail_type: detailType,
+            account: event.account,
+            region: event.region,
+            resources: event.resources,
+            detail: event.detail
+        };
+
+        action.action(params, callback, context);
+    }
+
+    private executeQueue(event: any, context: any, callback: (err: any, result: any) => void) {
+        let queueAction = this.findQueueAction(event.Records[0].eventSourceARN);
+        let concurrency = queueAction != null ? queueAction.concurrency : 1;
+
+        this.processRecords(event.Records, concurrency,
+            (record) => record.messageId,
+            (record, callback) => {
+                let params: any = {};
+                let correlationId = this.getMessageAttribute(record.messageAttributes, 'correlation_id');
+
+                let action = this.findQueueAction(record.eventSourceARN);
+                if (action == null) {
+                    let err = new NotFoundException(
+                        correlationId,
+                        'NO_QUEUE_ACTION',
+                        'Action for queue ' + record.eventSourceARN + ' was not found'
+                    )
+                    .withDetails('queue', record.eventSourceARN);
+
+                    this._logger.error(correlationId, err, 'Failed to process message %s', record.messageId);
+                    callback(err);
+                    return;
+                }
+
+                try {
+                    let body = record.body != null && record.body != '' ? JSON.parse(record.body) : null;
+                    if (_.isPlainObject(body)) params = body;
+                    else if (body != null) params.body = body;
+                } catch (ex) {
+                    params.body = record.body;
+                }
+
+                params.correlation_id = correlationId || params.correlation_id || IdGenerator.nextLong();
+                params.message_id = record.messageId;
+
+                action.action(params, (err, result) => {
+                    if (err != null)
+                        this._logger.error(params.correlation_id, err, 'Failed to process message %s', record.messageId);
+                    callback(err);
+                }, context);
+            },
+            callback
+        );
+    }
+
+    private executeBatch(event: any, context: any, callback: (err: any, result: any) => void) {
+        let correlationId = event.correlation_id;
+        let commands = event.commands;
+
+        if (!_.isArray(commands)) {
+            let err = new BadRequestException(
+                correlationId,
+                'NO_COMMANDS',
+                'Commands parameter is missing or not an array'
+            );
+
+            callback(err, null);
+            return;
+        }
+
+        let results: any[] = new Array(commands.length);
+        let concurrency = event.parallel ? Math.max(commands.length, 1) : 1;
+
+        async.eachOfLimit(commands, concurrency, (command, index, callback) => {
+            let cmd: string = command != null ? command.cmd : null;
+            let params = _.clone(command != null && _.isObject(command.params) ? command.params : {});
+            params.cmd = cmd;
+            params.correlation_id = params.correlation_id || correlationId;
+
+            let done = (err: any, result: any) => {
+                if (err) {
+                    this._logger.error(params.correlation_id, err, 'Failed to execute batch command %s', cmd);
+                    results[index] = { cmd: cmd, error: ErrorDescriptionFactory.create(err) };
+                } else {
+                    results[index] = { cmd: cmd, result: result };
+                }
+                callback();
+            };
+
+            if (cmd == null) {
+                done(new BadRequestException(
+                    params.correlation_id,
+                    'NO_COMMAND',
+                    'Cmd parameter is missing'
+                ), null);
+            } else if (this._actions[cmd] == null || cmd == LambdaFunction.BatchCommand) {
+                done(new BadRequestException(
+                    params.correlation_id,
+                    'NO_ACTION',
+                    'Action ' + cmd + ' was not found'
+                ).withDetails('command', cmd), null);
+            } else {
+                this.executeAction(cmd, params, context, done);
+            }
+        }, (err) => {
+            callback(err, results);
+        });
+    }
+
+    private execute(event: any, context: any, callback: (err: any, result: any) => void) {
+        if (this.isHttpEvent(event)) {
+            this.executeHttp(event, context, callback);
+            return;
+        }
+
+        if (this.isRecordsEvent(event, 'aws:sqs')) {
+            this.executeQueue(event, context, callback);
+            return;
+        }
+
+        if (this.isRecordsEvent(event, 'aws:sns')) {
+            this.executeTopic(event, context, callback);
+            return;
+        }
+
+        if (this.isRecordsEvent(event, 'aws:s3')) {
+            this.executeObject(event, context, callback);
+            return;
+        }
+
+        if (this.isRecordsEvent(event, 'aws:dynamodb')) {
+            this.executeStream(event, context, callback);
+            return;
+        }
+
+        if (this.isScheduleEvent(event)) {
+            this.executeSchedule(event, context, callback);
+            return;
+        }
+
+        if (this.isEventBridgeEvent(event)) {
+            this.executeEventBridge(event, context, callback);
+            return;
+        }
+
         let cmd: string = event.cmd;
         let correlationId = event.correlation_id;
+
+        if (cmd == LambdaFunction.BatchCommand) {
+            this.executeBatch(event, context, callback);
+            return;
+        }
         
         if (cmd == null) {
             let err = new BadRequestException(
@@ -247,7 +1355,7 @@ export abstract class LambdaFunction extends Container {
                 'Cmd parameter is missing'
             );
 
-            context.done(err, null);
+            callback(err, null);
             return;
         }
         
@@ -260,34 +1368,136 @@ export abstract class LambdaFunction extends Container {
             )
             .withDetails('command', cmd);
 
-            context.done(err, null);
+            callback(err, null);
             return;
         }
         
-        action(event, context.done);
+        this.executeAction(cmd, event, context, callback);
     }
     
-    private handler(event: any, context: any) {
+    private getTimeoutMargin(): number {
+        let margin = parseInt(process.env.TIMEOUT_MARGIN);
+        return isNaN(margin) ? this._timeoutMargin : margin;
+    }
+
+    private flush(correlationId: string, callback: () => void): void {
+        if (this._references == null) {
+            callback();
+            return;
+        }
+
+        // Save cached log messages and counters before the function is frozen or killed.
+        // Components that save asynchronously expose flush() to wait for completion
+        let components = this._references.getOptional<any>(new Descriptor('*', 'logger', '*', '*', '*'))
+            .concat(this._references.getOptional<any>(new Descriptor('*', 'counters', '*', '*', '*')));
+        async.each(components, (component, callback) => {
+            try {
+                if (_.isFunction(component.flush)) {
+                    component.flush(correlationId, () => { callback(); });
+                    return;
+                }
+                if (_.isFunction(component.dump)) component.dump();
+            } catch (ex) {
+                // Ignore errors
+            }
+            callback();
+        }, () => { callback(); });
+    }
+
+    private invoke(event: any, context: any, callback: (err: any, result: any) => void): void {
+        context = context || {};
+
+        let timer = null;
+        let done = _.once((err, result) => {
+            if (timer != null) clearTimeout(timer);
+            callback(err, result);
+        });
+
+        // Fail shortly before the platform kills the function
+        if (_.isFunction(context.getRemainingTimeInMillis)) {
+            let timeout = Math.max(context.getRemainingTimeInMillis() - this.getTimeoutMargin(), 0);
+            context.deadline = new Date(new Date().getTime() + timeout);
+
+            timer = setTimeout(() => {
+                let correlationId = event != null ? event.correlation_id : null;
+                let err = new LambdaTimeoutException(
+                    correlationId,
+                    'INVOCATION_TIMEOUT',
+                    'Lambda invocation is about to time out'
+                ).withDetails('timeout', timeout);
+
+                this._logger.error(correlationId, err, 'Lambda invocation timed out');
+
+                let respond = () => {
+                    if (this.isHttpEvent(event)) done(null, this.composeHttpResponse(err, null));
+                    else done(err, null);
+                };
+
+                // Flushing may not take longer than half of the remaining time,
+                // so the error is returned before the platform kills the function
+                let flushTimeout = Math.max(Math.floor(context.getRemainingTimeInMillis() / 2), 0);
+                let flushTimer = setTimeout(respond, flushTimeout);
+                this.flush(correlationId, () => {
+                    clearTimeout(flushTimer);
+                    respond();
+                });
+            }, timeout);
+        }
+
         // If already started then execute
         if (this.isOpen()) {
-            this.execute(event, context);
+            this.execute(event, context, done);
         }
         // Start before execute
         else {
             this.run((err) => {
-                if (err) context.done(err, null);
-                else this.execute(event, context);
+                if (err) done(err, null);
+                else this.execute(event, context, done);
             });
         }
     }
+
+    /**
+     * Converts an error into the form passed by AWS Lambda runtime to callers.
+     * The runtime keeps only error name, message and stack, so the message carries
+     * [[https://pip-services3-node.github.io/pip-services3-commons-node/classes/errors.errordescription.html ErrorDescription]]
+     * serialized as JSON. Fields of the description are also set on the error
+     * to be accessible by local callers.
+     * 
+     * @param err   an error to be converted.
+     * @returns an error object to be returned by the handler.
+     */
+    protected composeError(err: any): any {
+        let description = ErrorDescriptionFactory.create(err);
+
+        let error: any = new Error(JSON.stringify(description));
+        error.name = (err != null ? err.name : null) || 'Error';
+        _.assign(error, _.omit(description, 'message'));
+        if (err != null && err.stack != null)
+            error.stack = err.stack;
+
+        return error;
+    }
+
+    private handler(event: any, context: any): Promise<any> {
+        return new Promise((resolve, reject) => {
+            this.invoke(event, context, (err, result) => {
+                if (err) reject(this.composeError(err));
+                else resolve(result);
+            });
+        });
+    }
     
     /**
      * Gets entry point into this lambda function.
+     * The returned handler is async: it resolves with action result
+     * or rejects with error instead of calling deprecated <code>context.done</code>.
+     * Errors are converted by [[composeError]] to be restored by [[LambdaClient]].
      * 
      * @param event     an incoming event object with invocation parameters.
      * @param context   a context object with local references.
      */
-    public getHandler(): (event: any, context: any) => void {
+    public getHandler(): (event: any, context: any) => Promise<any> {
         let self = this;
         
         // Return plugin function
@@ -305,13 +1515,25 @@ export abstract class LambdaFunction extends Container {
      * This method shall only be used in testing.
      * 
      * @param params action parameters.
-     * @param callback callback function that receives action result or error.
+     * @param callback (optional) callback function that receives action result or error.
+     *                 When it is omitted the method returns a Promise.
      */
-    public act(params: any, callback: (err: any, result: any) => void): void {
-        let context = {
-            done: callback
-        };
-        this.getHandler()(params, context);
+    public act(params: any): Promise<any>;
+    public act(params: any, callback: (err: any, result: any) => void): void;
+    public act(params: any, callback?: (err: any, result: any) => void): any {
+        let context = {};
+
+        // Errors are returned as is, they are converted only for AWS Lambda runtime
+        if (callback == null) {
+            return new Promise<any>((resolve, reject) => {
+                this.invoke(params, context, (err, result) => {
+                    if (err) reject(err);
+                    else resolve(result);
+                });
+            });
+        }
+
+        this.invoke(params, context, callback);
     }
 
 }
\ No newline at end of file
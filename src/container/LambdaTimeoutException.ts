@@ -0,0 +1,30 @@
+/** @module container */
+import { InvocationException } from 'pip-services3-commons-node';
+
+/**
+ * Error raised by [[LambdaFunction]] when an invocation is about to exceed
+ * the execution time limit set by AWS Lambda platform.
+ * 
+ * It is returned shortly before the hard limit, so the function is able to log
+ * the failure and flush its loggers and counters.
+ */
+export class LambdaTimeoutException extends InvocationException {
+
+    /**
+     * Creates an error instance and assigns its values.
+     * 
+     * @param correlationId    (optional) a unique transaction id to trace execution through call chain.
+     * @param code             (optional) a unique error code. Default: "INVOCATION_TIMEOUT"
+     * @param message          (optional) a human-readable description of the error.
+     */
+    public constructor(correlationId: string = null, code: string = 'INVOCATION_TIMEOUT',
+        message: string = 'Lambda invocation is about to time out') {
+        super(correlationId, code, message);
+
+        // Set the prototype explicitly.
+        // https://github.com/Microsoft/TypeScript-wiki/blob/master/Breaking-Changes.md#extending-built-ins-like-error-array-and-map-may-no-longer-work
+        (<any>this).__proto__ = LambdaTimeoutException.prototype;
+        this.status = 504;
+    }
+
+}
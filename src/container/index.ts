@@ -1,3 +1,6 @@
 /** @module container */
+export { ILambdaInterceptor } from './ILambdaInterceptor';
+export { JsonSchemaConverter } from './JsonSchemaConverter';
+export { LambdaTimeoutException } from './LambdaTimeoutException';
 export { LambdaFunction } from './LambdaFunction';
 export { CommandableLambdaFunction } from './CommandableLambdaFunction';
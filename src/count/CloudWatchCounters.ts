@@ -10,6 +10,8 @@ import { CachedCounters, Counter } from 'pip-services3-components-node';
 import { ConfigParams } from 'pip-services3-commons-node';
 import { AwsConnectionResolver } from '../connect';
 import { AwsConnectionParams } from '../connect';
+import { AwsClientOptions } from '../connect';
+import { AwsClientFactory } from '../connect';
 import { CompositeLogger } from 'pip-services3-components-node';
 import { ContextInfo } from 'pip-services3-components-node';
 import { Descriptor } from 'pip-services3-commons-node';
@@ -23,13 +25,32 @@ import { CloudWatchUnit } from './CloudWatchUnit';
  * - connections:                   
  *     - discovery_key:         (optional) a key to retrieve the connection from [[https://pip-services3-node.github.io/pip-services3-components-node/interfaces/connect.idiscovery.html IDiscovery]]
  *     - region:                (optional) AWS region
+ *     - uri:                   (optional) custom endpoint, i.e. of LocalStack
+ *     - host:                  (optional) host of custom endpoint when uri is not set
+ *     - port:                  (optional) port of custom endpoint
+ *     - ssl_enabled:           (optional) false to disable TLS for custom endpoint (default: true)
+ *     - force_path_style:      (optional) true to use path-style addressing (default: false)
  * - credentials:    
  *     - store_key:             (optional) a key to retrieve the credentials from [[https://pip-services3-node.github.io/pip-services3-components-node/interfaces/auth.icredentialstore.html ICredentialStore]]
- *     - access_id:             AWS access/client id
- *     - access_key:            AWS access/client id
+ *     - access_id:             (optional) AWS access/client id
+ *     - access_key:            (optional) AWS access/client key
+ *     - session_token:         (optional) AWS session token of temporary credentials
+ *     - profile:               (optional) profile in shared credentials file (default: AWS_PROFILE or "default")
+ *     - role_arn:              (optional) ARN of IAM role to assume with STS
+ *     - external_id:           (optional) external id required to assume the role
+ *     - session_name:          (optional) name of the role session (default: "pip-services")
+ *     - sts_endpoint:          (optional) custom STS endpoint, i.e. of a stand-in service for testing
  * - options:
  *     - interval:              interval in milliseconds to save current counters measurements (default: 5 mins)
  *     - reset_timeout:         timeout in milliseconds to reset the counters. 0 disables the reset (default: 0)
+ *     - connect_timeout:       (optional) connection timeout in milliseconds (default: 30 sec)
+ *     - timeout:               (optional) socket inactivity timeout in milliseconds (default: SDK default)
+ *     - proxy:                 (optional) URL of HTTP proxy to send requests through
+ *     - keep_alive:            (optional) true to reuse connections (default: false)
+ *     - max_sockets:           (optional) maximum number of sockets per host (default: unlimited)
+ *     - sdk_version:           (optional) AWS SDK version to use: 2 or 3 (default: 3 when installed, otherwise 2)
+ *     - use_fips:              (optional) true to use FIPS 140-2 endpoints (default: false)
+ *     - use_dualstack:         (optional) true to use dual-stack IPv4/IPv6 endpoints (default: false)
  * 
  * ### References ###
  * 
@@ -73,7 +94,7 @@ export class CloudWatchCounters extends CachedCounters implements IReferenceable
 
     private _connectionResolver: AwsConnectionResolver = new AwsConnectionResolver();
     private _connection: AwsConnectionParams;
-    private _connectTimeout: number = 30000;
+    private _clientOptions: AwsClientOptions = new AwsClientOptions(30000);
     private _client: any = null; //AmazonCloudWatchClient
 
     private _source: string;
@@ -98,7 +119,7 @@ export class CloudWatchCounters extends CachedCounters implements IReferenceable
 
         this._source = config.getAsStringWithDefault('source', this._source);
         this._instance = config.getAsStringWithDefault('instance', this._instance);
-        this._connectTimeout = config.getAsIntegerWithDefault("options.connect_timeout", this._connectTimeout);
+        this._clientOptions.configure(config);
     }
 
 	/**
@@ -150,19 +171,12 @@ export class CloudWatchCounters extends CachedCounters implements IReferenceable
                 });
             },
             (callback) => {
-                let aws = require('aws-sdk');
-
-                aws.config.update({
-                    accessKeyId: this._connection.getAccessId(),
-                    secretAccessKey: this._connection.getAccessKey(),
-                    region: this._connection.getRegion()
-                });
-
-                aws.config.httpOptions = {
-                    timeout: this._connectTimeout
-                };
-
-                this._client = new aws.CloudWatch({ apiVersion: '2010-08-01' });
+                try {
+                    this._client = AwsClientFactory.create('monitoring', this._connection, this._clientOptions);
+                } catch (ex) {
+                    callback(ex);
+                    return;
+                }
 
                 callback();
             }
@@ -177,6 +191,8 @@ export class CloudWatchCounters extends CachedCounters implements IReferenceable
 	 */
     public close(correlationId: string, callback: (err: any) => void): void {
         this._opened = false;
+        if (this._client != null && typeof this._client.destroy === 'function')
+            this._client.destroy();
         this._client = null;
 
         if (callback) callback(null);
@@ -225,13 +241,41 @@ export class CloudWatchCounters extends CachedCounters implements IReferenceable
         return value;
     }
 
+    /**
+     * Saves the current counters measurements and waits until they are written to AWS CloudWatch.
+     * Unlike dump() it notifies about completion, so the caller can wait before
+     * AWS Lambda function is frozen.
+     * 
+     * @param correlationId 	(optional) transaction id to trace execution through call chain.
+     * @param callback 			callback function that receives error or null no errors occured.
+     */
+    public flush(correlationId: string, callback: (err: any) => void): void {
+        if (!this._updated) {
+            if (callback) callback(null);
+            return;
+        }
+
+        let counters = this.getAll();
+        this._updated = false;
+        this._lastDumpTime = new Date().getTime();
+
+        this.saveCounters(counters, callback);
+    }
+
     /**
      * Saves the current counters measurements.
      * 
      * @param counters      current counters measurements to be saves.
      */
     protected save(counters: Counter[]): void {
-        if (this._client == null) return;
+        this.saveCounters(counters, null);
+    }
+
+    private saveCounters(counters: Counter[], callback: (err: any) => void): void {
+        if (this._client == null) {
+            if (callback) callback(null);
+            return;
+        }
 
         let dimensions = [];
         dimensions.push({
@@ -241,38 +285,26 @@ export class CloudWatchCounters extends CachedCounters implements IReferenceable
 
         let now = new Date();
 
-        let data = [];
-        counters.forEach(counter => {
-            data.push(this.getCounterData(counter, now, dimensions))
-
-            if (data.length >= 20) {
-                async.series([
-                    (callback) => {
-                        this._client.putMetricData(params, function (err, data) {
-                            if (err) {
-                                if (this._logger) this._logger.error("cloudwatch_counters", err, "putMetricData error");
-                            }
-                            callback(err);
-                        });
-                    },
-                    (callback) => {
-                        data = [];
-                        callback();
-                    }]);
-            }
-        });
+        // CloudWatch accepts up to 20 metrics in a single request
+        let data = counters.map(counter => this.getCounterData(counter, now, dimensions));
+        let chunks = [];
+        for (let index = 0; index < data.length; index += 20)
+            chunks.push(data.slice(index, index + 20));
 
-        var params = {
-            MetricData: data,
-            Namespace: this._source
-        };
+        async.eachSeries(chunks, (chunk, callback) => {
+            let params = {
+                MetricData: chunk,
+                Namespace: this._source
+            };
 
-        if (data.length > 0) {
-            this._client.putMetricData(params, function (err, data) {
+            this._client.putMetricData(params, (err, data) => {
                 if (err) {
                     if (this._logger) this._logger.error("cloudwatch_counters", err, "putMetricData error");
                 }
+                callback(err);
             });
-        }
+        }, (err) => {
+            if (callback) callback(err);
+        });
     }
-}
\ No newline at end of file
+}
@@ -1,6 +1,7 @@
 /** @module index */
 export * from './clients';
 export * from './container';
+export * from './services';
 export * from './connect';
 export * from './log';
 export * from './count';
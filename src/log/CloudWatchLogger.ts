@@ -12,6 +12,8 @@ import { ConfigException } from 'pip-services3-commons-node';
 import { ConfigParams } from 'pip-services3-commons-node';
 import { AwsConnectionResolver } from '../connect';
 import { AwsConnectionParams } from '../connect';
+import { AwsClientOptions } from '../connect';
+import { AwsClientFactory } from '../connect';
 import { CompositeLogger } from 'pip-services3-components-node';
 import { ContextInfo } from 'pip-services3-components-node';
 import { Descriptor } from 'pip-services3-commons-node'
@@ -26,13 +28,32 @@ import { Descriptor } from 'pip-services3-commons-node'
  * - connections:                   
  *     - discovery_key:               (optional) a key to retrieve the connection from [[https://pip-services3-node.github.io/pip-services3-components-node/interfaces/connect.idiscovery.html IDiscovery]]
  *     - region:                      (optional) AWS region
+ *     - uri:                         (optional) custom endpoint, i.e. of LocalStack
+ *     - host:                        (optional) host of custom endpoint when uri is not set
+ *     - port:                        (optional) port of custom endpoint
+ *     - ssl_enabled:                 (optional) false to disable TLS for custom endpoint (default: true)
+ *     - force_path_style:            (optional) true to use path-style addressing (default: false)
  * - credentials:    
  *     - store_key:                   (optional) a key to retrieve the credentials from [[https://pip-services3-node.github.io/pip-services3-components-node/interfaces/auth.icredentialstore.html ICredentialStore]]
- *     - access_id:                   AWS access/client id
- *     - access_key:                  AWS access/client id
+ *     - access_id:                   (optional) AWS access/client id
+ *     - access_key:                  (optional) AWS access/client key
+ *     - session_token:               (optional) AWS session token of temporary credentials
+ *     - profile:                     (optional) profile in shared credentials file (default: AWS_PROFILE or "default")
+ *     - role_arn:                    (optional) ARN of IAM role to assume with STS
+ *     - external_id:                 (optional) external id required to assume the role
+ *     - session_name:                (optional) name of the role session (default: "pip-services")
+ *     - sts_endpoint:                (optional) custom STS endpoint, i.e. of a stand-in service for testing
  * - options:
  *     - interval:        interval in milliseconds to save current counters measurements (default: 5 mins)
  *     - reset_timeout:   timeout in milliseconds to reset the counters. 0 disables the reset (default: 0)
+ *     - connect_timeout: (optional) connection timeout in milliseconds (default: 30 sec)
+ *     - timeout:         (optional) socket inactivity timeout in milliseconds (default: SDK default)
+ *     - proxy:           (optional) URL of HTTP proxy to send requests through
+ *     - keep_alive:      (optional) true to reuse connections (default: false)
+ *     - max_sockets:     (optional) maximum number of sockets per host (default: unlimited)
+ *     - sdk_version:     (optional) AWS SDK version to use: 2 or 3 (default: 3 when installed, otherwise 2)
+ *     - use_fips:        (optional) true to use FIPS 140-2 endpoints (default: false)
+ *     - use_dualstack:   (optional) true to use dual-stack IPv4/IPv6 endpoints (default: false)
  * 
  * ### References ###
  * 
@@ -75,7 +96,7 @@ export class CloudWatchLogger extends CachedLogger implements IReferenceable, IO
     private _connectionResolver: AwsConnectionResolver = new AwsConnectionResolver();
     private _client: any = null; //AmazonCloudWatchLogsClient
     private _connection: AwsConnectionParams;
-    private _connectTimeout: number = 30000;
+    private _clientOptions: AwsClientOptions = new AwsClientOptions(30000);
 
     private _group: string = "undefined";
     private _stream: string = null;
@@ -101,7 +122,7 @@ export class CloudWatchLogger extends CachedLogger implements IReferenceable, IO
 
         this._group = config.getAsStringWithDefault('group', this._group);
         this._stream = config.getAsStringWithDefault('stream', this._stream);
-        this._connectTimeout = config.getAsIntegerWithDefault("options.connect_timeout", this._connectTimeout);
+        this._clientOptions.configure(config);
     }
 
 	/**
@@ -168,19 +189,12 @@ export class CloudWatchLogger extends CachedLogger implements IReferenceable, IO
                 });
             },
             (callback) => {
-                let aws = require('aws-sdk');
-
-                aws.config.update({
-                    accessKeyId: this._connection.getAccessId(),
-                    secretAccessKey: this._connection.getAccessKey(),
-                    region: this._connection.getRegion()
-                });
-
-                aws.config.httpOptions = {
-                    timeout: this._connectTimeout
-                };
-
-                this._client = new aws.CloudWatchLogs({ apiVersion: '2014-03-28' });
+                try {
+                    this._client = AwsClientFactory.create('logs', this._connection, this._clientOptions);
+                } catch (ex) {
+                    callback(ex);
+                    return;
+                }
 
                 let params = {
                     logGroupName: this._group
@@ -252,12 +266,37 @@ export class CloudWatchLogger extends CachedLogger implements IReferenceable, IO
 
             this._cache = [];
             this._timer = null;
+            if (this._client != null && typeof this._client.destroy === 'function')
+                this._client.destroy();
             this._client = null;
 
             if (callback) callback(null);
         });
     }
 
+    /**
+     * Saves cached log messages and waits until they are written to AWS CloudWatch.
+     * Unlike dump() it notifies about completion, so the caller can wait before
+     * AWS Lambda function is frozen. Failed messages are returned back to the cache.
+     * 
+     * @param correlationId 	(optional) transaction id to trace execution through call chain.
+     * @param callback 			callback function that receives error or null no errors occured.
+     */
+    public flush(correlationId: string, callback: (err: any) => void): void {
+        let messages = this._cache;
+        this._cache = [];
+        this._updated = false;
+        this._lastDumpTime = new Date().getTime();
+
+        this.save(messages, (err) => {
+            if (err) {
+                messages.push(...this._cache);
+                this._cache = messages;
+            }
+            if (callback) callback(err);
+        });
+    }
+
     private formatMessageText(message: LogMessage): string {
         let result: string = "";
         result += "[" + (message.source ? message.source : "---") + ":" +
@@ -325,7 +364,7 @@ export class CloudWatchLogger extends CachedLogger implements IReferenceable, IO
                     logStreamNamePrefix: this._stream,
                 }
                 this._client.describeLogStreams(describeParams, (err, data) => {
-                    if (data.logStreams.length > 0) {
+                    if (data != null && data.logStreams.length > 0) {
                         this._lastToken = data.logStreams[0].uploadSequenceToken;
                     }
                     callback();
@@ -338,9 +377,11 @@ export class CloudWatchLogger extends CachedLogger implements IReferenceable, IO
                     } else {
                         this._lastToken = data.nextSequenceToken;
                     }
-                    callback();
+                    callback(err);
                 });
             }
-        ]);
+        ], (err) => {
+            if (callback) callback(err);
+        });
     }
 }
\ No newline at end of file
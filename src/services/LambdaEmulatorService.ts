@@ -0,0 +1,439 @@
+/** @module services */
+/** @hidden */
+let _ = require('lodash');
+/** @hidden */
+let async = require('async');
+/** @hidden */
+let http = require('http');
+
+import { IOpenable } from 'pip-services3-commons-node';
+import { IConfigurable } from 'pip-services3-commons-node';
+import { IReferenceable } from 'pip-services3-commons-node';
+import { IReferences } from 'pip-services3-commons-node';
+import { ConfigParams } from 'pip-services3-commons-node';
+import { IdGenerator } from 'pip-services3-commons-node';
+import { ConfigException } from 'pip-services3-commons-node';
+import { ConnectionException } from 'pip-services3-commons-node';
+import { InvalidStateException } from 'pip-services3-commons-node';
+import { ConnectionResolver } from 'pip-services3-components-node';
+import { ConnectionParams } from 'pip-services3-components-node';
+import { CompositeLogger } from 'pip-services3-components-node';
+import { CompositeCounters } from 'pip-services3-components-node';
+import { CounterTiming } from 'pip-services3-components-node';
+
+import { LambdaFunction } from '../container/LambdaFunction';
+
+/**
+ * Service that emulates AWS Lambda Invoke REST API to run [[LambdaFunction]] locally.
+ * 
+ * It exposes <code>POST /2015-03-31/functions/{name}/invocations</code> route
+ * and supports "RequestResponse", "Event" and "DryRun" invocation types.
+ * [[LambdaClient]] can call hosted functions when its connection uri points to this service.
+ * Hosted functions must be opened before the service, they are not started by it.
+ * Client context passed by callers is available to functions as "clientContext" in Lambda context,
+ * and "Tail" log type returns emulated START, END and REPORT log lines.
+ * 
+ * ### Configuration parameters ###
+ * 
+ * - connection(s):
+ *   - discovery_key:         (optional) a key to retrieve the connection from [[https://pip-services3-node.github.io/pip-services3-components-node/interfaces/connect.idiscovery.html IDiscovery]]
+ *   - protocol:              (optional) connection protocol, only http is supported (default: http)
+ *   - host:                  (optional) host name or IP address (default: localhost)
+ *   - port:                  port number
+ * - options:
+ *   - timeout:               (optional) function execution timeout in milliseconds (default: 60 sec)
+ * 
+ * ### References ###
+ * 
+ * - <code>\*:logger:\*:\*:1.0</code>               (optional) [[https://pip-services3-node.github.io/pip-services3-components-node/interfaces/log.ilogger.html ILogger]] components to pass log messages
+ * - <code>\*:counters:\*:\*:1.0</code>             (optional) [[https://pip-services3-node.github.io/pip-services3-components-node/interfaces/count.icounters.html ICounters]] components to pass collected measurements
+ * - <code>\*:discovery:\*:\*:1.0</code>            (optional) [[https://pip-services3-node.github.io/pip-services3-components-node/interfaces/connect.idiscovery.html IDiscovery]] services to resolve connection
+ * 
+ * @see [[LambdaFunction]]
+ * @see [[LambdaClient]]
+ * 
+ * ### Example ###
+ * 
+ *     let service = new LambdaEmulatorService();
+ *     service.configure(ConfigParams.fromTuples(
+ *         "connection.protocol", "http",
+ *         "connection.host", "localhost",
+ *         "connection.port", 3000
+ *     ));
+ *     service.addFunction("myfunction", new MyLambdaFunction());
+ *     service.setReferences(new References());
+ *     
+ *     service.open("123", (err) => {
+ *         ...
+ *     });
+ *     
+ *     let client = new MyLambdaClient();
+ *     client.configure(ConfigParams.fromTuples(
+ *         "connection.region", "us-east-1",
+ *         "connection.uri", "http://localhost:3000",
+ *         "connection.arn", "arn:aws:lambda:us-east-1:000000000000:function:myfunction",
+ *         "credential.access_id", "XXXXXXXXXXX",
+ *         "credential.access_key", "XXXXXXXXXXX"
+ *     ));
+ */
+export class LambdaEmulatorService implements IOpenable, IConfigurable, IReferenceable {
+    private _functions: { [name: string]: LambdaFunction } = {};
+    private _timeout: number = 60000;
+    private _server: any;
+
+    /**
+     * The connection resolver.
+     */
+    protected _connectionResolver: ConnectionResolver = new ConnectionResolver();
+    /**
+     * The logger.
+     */
+    protected _logger: CompositeLogger = new CompositeLogger();
+    /**
+     * The performance counters.
+     */
+    protected _counters: CompositeCounters = new CompositeCounters();
+
+    /**
+     * Configures component by passing configuration parameters.
+     * 
+     * @param config    configuration parameters to be set.
+     */
+    public configure(config: ConfigParams): void {
+        this._connectionResolver.configure(config);
+
+        this._timeout = config.getAsIntegerWithDefault('options.timeout', this._timeout);
+    }
+
+    /**
+	 * Sets references to dependent components.
+	 * 
+	 * @param references 	references to locate the component dependencies. 
+     */
+    public setReferences(references: IReferences): void {
+        this._logger.setReferences(references);
+        this._counters.setReferences(references);
+        this._connectionResolver.setReferences(references);
+    }
+
+    /**
+     * Adds instrumentation to log calls and measure call time.
+     * It returns a CounterTiming object that is used to end the time measurement.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param name              a method name.
+     * @returns CounterTiming object to end the time measurement.
+     */
+    protected instrument(correlationId: string, name: string): CounterTiming {
+        this._logger.trace(correlationId, "Executing %s method", name);
+        return this._counters.beginTiming(name + ".exec_time");
+    }
+
+    /**
+	 * Checks if the component is opened.
+	 * 
+	 * @returns true if the component has been opened and false otherwise.
+     */
+    public isOpen(): boolean {
+        return this._server != null;
+    }
+
+    /**
+	 * Opens the component.
+	 * 
+	 * @param correlationId 	(optional) transaction id to trace execution through call chain.
+     * @param callback 			callback function that receives error or null no errors occured.
+     */
+    public open(correlationId: string, callback?: (err: any) => void): void {
+        if (this.isOpen()) {
+            if (callback) callback(null);
+            return;
+        }
+
+        let connection: ConnectionParams;
+
+        async.series([
+            // Closed functions would start themselves with process-wide handlers
+            (callback) => {
+                let name = _.findKey(this._functions, (func) => !func.isOpen());
+                let err = name != null
+                    ? new InvalidStateException(
+                        correlationId,
+                        'FUNCTION_NOT_OPENED',
+                        'Lambda function ' + name + ' must be opened before lambda emulator'
+                    ).withDetails('function', name)
+                    : null;
+                callback(err);
+            },
+            (callback) => {
+                this._connectionResolver.resolve(correlationId, (err, result) => {
+                    connection = result;
+                    callback(err);
+                });
+            },
+            (callback) => {
+                let protocol = connection != null ? connection.getProtocol() || 'http' : 'http';
+                let port = connection != null ? connection.getPort() : 0;
+
+                if (protocol != 'http') {
+                    callback(new ConfigException(
+                        correlationId,
+                        'WRONG_PROTOCOL',
+                        'Protocol is not supported by lambda emulator'
+                    ).withDetails('protocol', protocol));
+                    return;
+                }
+
+                if (port == 0) {
+                    callback(new ConfigException(
+                        correlationId,
+                        'NO_PORT',
+                        'Connection port is not set'
+                    ));
+                    return;
+                }
+
+                let host = connection.getHost() || 'localhost';
+                let server = http.createServer((req, res) => {
+                    this.handleRequest(req, res);
+                });
+
+                server.once('error', (ex) => {
+                    callback(new ConnectionException(
+                        correlationId,
+                        'CANNOT_CONNECT',
+                        'Opening lambda emulator failed'
+                    ).withCause(ex));
+                });
+
+                server.listen(port, host, () => {
+                    this._server = server;
+                    this._logger.debug(correlationId, 'Lambda emulator started at http://%s:%d', host, port);
+                    callback(null);
+                });
+            }
+        ], (err) => {
+            if (callback) callback(err);
+        });
+    }
+
+    /**
+	 * Closes component and frees used resources.
+	 * 
+	 * @param correlationId 	(optional) transaction id to trace execution through call chain.
+     * @param callback 			callback function that receives error or null no errors occured.
+     */
+    public close(correlationId: string, callback?: (err: any) => void): void {
+        if (this._server == null) {
+            if (callback) callback(null);
+            return;
+        }
+
+        let server = this._server;
+        this._server = null;
+
+        server.close(() => {
+            this._logger.debug(correlationId, 'Lambda emulator stopped');
+            if (callback) callback(null);
+        });
+    }
+
+    /**
+     * Adds a lambda function to be hosted by this service.
+     * The function must be opened before it is called.
+     * 
+     * @param name      a function name used in function ARNs.
+     * @param func      a lambda function to be hosted.
+     */
+    public addFunction(name: string, func: LambdaFunction): void {
+        this._functions[name] = func;
+    }
+
+    /**
+     * Removes a hosted lambda function.
+     * 
+     * @param name      a name of the function to be removed.
+     */
+    public removeFunction(name: string): void {
+        delete this._functions[name];
+    }
+
+    private getFunctionName(value: string): string {
+        // Function ARN: arn:aws:lambda:region:account:function:name[:qualifier]
+        let tokens = value.split(':');
+        if (tokens.length >= 7 && tokens[0] == 'arn')
+            return tokens[6];
+
+        // Partial ARN: account:function:name[:qualifier]
+        if (tokens.length >= 3 && tokens[1] == 'function')
+            return tokens[2];
+
+        // Name with qualifier: name[:qualifier]
+        return tokens[0];
+    }
+
+    private parseEvent(body: string): any {
+        if (body == null || body == '') return {};
+        return JSON.parse(body);
+    }
+
+    private sendResponse(res: any, status: number, headers: any, body: any): void {
+        res.writeHead(status, headers);
+        res.end(body != null ? body : '');
+    }
+
+    private handleRequest(req: any, res: any): void {
+        let path = (req.url || '').split('?')[0];
+        let match = /^\/2015-03-31\/functions\/([^\/]+)\/invocations\/?$/.exec(path);
+
+        if (req.method != 'POST' || match == null) {
+            this.sendResponse(res, 404, {
+                'Content-Type': 'application/json',
+                'x-amzn-ErrorType': 'UnknownOperationException'
+            }, JSON.stringify({
+                Type: 'User',
+                Message: 'Unknown operation ' + req.method + ' ' + path
+            }));
+            return;
+        }
+
+        let chunks = [];
+        req.on('data', (chunk) => { chunks.push(chunk); });
+        req.on('end', () => {
+            let body = Buffer.concat(chunks).toString('utf8');
+            this.invoke(match[1], req.headers, body, res);
+        });
+    }
+
+    private invoke(functionName: string, requestHeaders: any, body: string, res: any): void {
+        let requestId = IdGenerator.nextLong();
+        let invocationType = requestHeaders['x-amz-invocation-type'] || 'RequestResponse';
+        let headers = {
+            'Content-Type': 'application/json',
+            'x-amzn-RequestId': requestId
+        };
+
+        try {
+            functionName = decodeURIComponent(functionName || '');
+        } catch (ex) {
+            headers['x-amzn-ErrorType'] = 'InvalidParameterValueException';
+            this.sendResponse(res, 400, headers, JSON.stringify({
+                Type: 'User',
+                Message: 'Invalid function name: ' + functionName
+            }));
+            return;
+        }
+
+        let name = this.getFunctionName(functionName);
+        let func = this._functions[name];
+
+        if (func == null) {
+            headers['x-amzn-ErrorType'] = 'ResourceNotFoundException';
+            this.sendResponse(res, 404, headers, JSON.stringify({
+                Type: 'User',
+                Message: 'Function not found: ' + functionName
+            }));
+            return;
+        }
+
+        if (!func.isOpen()) {
+            headers['x-amzn-ErrorType'] = 'ResourceNotReadyException';
+            this.sendResponse(res, 502, headers, JSON.stringify({
+                Type: 'Service',
+                Message: 'Function is not opened: ' + functionName
+            }));
+            return;
+        }
+
+        if (invocationType != 'RequestResponse' && invocationType != 'Event' && invocationType != 'DryRun') {
+            headers['x-amzn-ErrorType'] = 'InvalidParameterValueException';
+            this.sendResponse(res, 400, headers, JSON.stringify({
+                Type: 'User',
+                Message: 'Unsupported invocation type ' + invocationType
+            }));
+            return;
+        }
+
+        let event: any;
+        try {
+            event = this.parseEvent(body);
+        } catch (ex) {
+            headers['x-amzn-ErrorType'] = 'InvalidRequestContentException';
+            this.sendResponse(res, 400, headers, JSON.stringify({
+                Type: 'User',
+                Message: 'Could not parse request body into json: ' + ex.message
+            }));
+            return;
+        }
+
+        if (invocationType == 'DryRun') {
+            this.sendResponse(res, 204, headers, null);
+            return;
+        }
+
+        let clientContext = null;
+        if (requestHeaders['x-amz-client-context'] != null) {
+            try {
+                clientContext = JSON.parse(Buffer.from(requestHeaders['x-amz-client-context'], 'base64').toString('utf8'));
+            } catch (ex) {
+                // Ignore invalid client context
+            }
+        }
+
+        let start = new Date().getTime();
+        let deadline = start + this._timeout;
+        let context = {
+            functionName: name,
+            functionVersion: '$LATEST',
+            invokedFunctionArn: functionName,
+            awsRequestId: requestId,
+            clientContext: clientContext,
+            getRemainingTimeInMillis: () => Math.max(deadline - new Date().getTime(), 0)
+        };
+
+        // Emulate the last lines of the function log
+        let composeLogResult = (err: any) => {
+            let log = 'START RequestId: ' + requestId + ' Version: $LATEST\n';
+            if (err != null)
+                log += new Date().toISOString() + '\t' + requestId + '\tERROR\tInvoke Error \t' + (err.message || err) + '\n';
+            log += 'END RequestId: ' + requestId + '\n';
+            log += 'REPORT RequestId: ' + requestId + '\tDuration: ' + (new Date().getTime() - start) + ' ms\n';
+            return Buffer.from(log, 'utf8').toString('base64');
+        };
+        let logTail = requestHeaders['x-amz-log-type'] == 'Tail';
+
+        let correlationId = event != null ? event.correlation_id : null;
+        let timing = this.instrument(correlationId, 'lambda_emulator.' + name);
+
+        // Asynchronous invocations are acknowledged immediately
+        if (invocationType == 'Event') {
+            headers['X-Amz-Executed-Version'] = '$LATEST';
+            this.sendResponse(res, 202, headers, null);
+        }
+
+        func.getHandler()(event, context).then(
+            (result) => {
+                timing.endTiming();
+                if (invocationType == 'Event') return;
+
+                headers['X-Amz-Executed-Version'] = '$LATEST';
+                if (logTail) headers['X-Amz-Log-Result'] = composeLogResult(null);
+                this.sendResponse(res, 200, headers, JSON.stringify(result != null ? result : null));
+            },
+            (err) => {
+                timing.endTiming();
+                this._logger.error(correlationId, err, 'Function %s failed', name);
+                if (invocationType == 'Event') return;
+
+                headers['X-Amz-Executed-Version'] = '$LATEST';
+                headers['X-Amz-Function-Error'] = 'Unhandled';
+                if (logTail) headers['X-Amz-Log-Result'] = composeLogResult(err);
+                this.sendResponse(res, 200, headers, JSON.stringify({
+                    errorType: err != null ? err.name || 'Error' : 'Error',
+                    errorMessage: err != null ? err.message : 'Unknown error',
+                    trace: err != null && _.isString(err.stack) ? err.stack.split('\n') : []
+                }));
+            }
+        );
+    }
+}
@@ -0,0 +1,2 @@
+/** @module services */
+export { LambdaEmulatorService } from './LambdaEmulatorService';
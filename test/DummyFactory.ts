@@ -2,14 +2,17 @@ import { Factory } from 'pip-services3-components-node';
 import { Descriptor } from 'pip-services3-commons-node';
 
 import { DummyController } from './DummyController';
+import { DummyInterceptor } from './DummyInterceptor';
 
 export class DummyFactory extends Factory {
 	public static Descriptor = new Descriptor("pip-services-dummies", "factory", "default", "default", "1.0");
 	public static ControllerDescriptor = new Descriptor("pip-services-dummies", "controller", "default", "*", "1.0");
+	public static InterceptorDescriptor = new Descriptor("pip-services-dummies", "lambda-interceptor", "default", "*", "1.0");
 	
 	public constructor() {
 		super();
 		this.registerAsType(DummyFactory.ControllerDescriptor, DummyController);
+		this.registerAsType(DummyFactory.InterceptorDescriptor, DummyInterceptor);
 	}
 	
 }
@@ -0,0 +1,23 @@
+import { UnauthorizedException } from 'pip-services3-commons-node';
+
+import { ILambdaInterceptor } from '../src/container/ILambdaInterceptor';
+
+export class DummyInterceptor implements ILambdaInterceptor {
+
+    public intercept(cmd: string, params: any, context: any,
+        next: (params: any, callback: (err: any, result: any) => void) => void,
+        callback: (err: any, result: any) => void): void {
+        if (params.dummy_id == 'restricted') {
+            let err = new UnauthorizedException(
+                params.correlation_id,
+                'ACCESS_DENIED',
+                'Access to dummy ' + params.dummy_id + ' is denied'
+            );
+            callback(err, null);
+            return;
+        }
+
+        next(params, callback);
+    }
+
+}
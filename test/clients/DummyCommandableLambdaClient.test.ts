@@ -1,6 +1,12 @@
+let assert = require('chai').assert;
 let process = require('process');
+let async = require('async');
 
 import { ConfigParams } from 'pip-services3-commons-node';
+import { BadRequestException } from 'pip-services3-commons-node';
+import { References } from 'pip-services3-commons-node';
+import { LambdaEmulatorService } from '../../src/services/LambdaEmulatorService';
+import { DummyCommandableLambdaFunction } from '../container/DummyCommandableLambdaFunction';
 import { DummyClientFixture } from '../DummyClientFixture';
 import { DummyCommandableLambdaClient } from './DummyCommandableLambdaClient';
 
@@ -9,20 +15,80 @@ let awsAccessKey = process.env['AWS_ACCESS_KEY'];
 let lambdaArn = process.env['LAMBDA_ARN'];
 
 suite('DummyCommandableLambdaClient', ()=> {
-    if (!awsAccessId || !awsAccessKey || !lambdaArn)
-        return;
+    // Run against local emulator when AWS connection is not set
+    let useEmulator = !awsAccessId || !awsAccessKey || !lambdaArn;
 
-    let lambdaConfig = ConfigParams.fromTuples(
-        'connection.protocol', 'aws',
-        'connection.arn', lambdaArn,
-        'credential.access_id', awsAccessId,
-        'credential.access_key', awsAccessKey,
-        'options.connection_timeout', 30000
-    );
+    let lambdaConfig = useEmulator
+        ? ConfigParams.fromTuples(
+            'connection.region', 'us-east-1',
+            'connection.uri', 'http://localhost:3010',
+            'connection.arn', 'arn:aws:lambda:us-east-1:000000000000:function:dummy',
+            'credential.access_id', 'emulator',
+            'credential.access_key', 'emulator',
+            'options.connection_timeout', 30000,
+            'options.sdk_version', 2,
+            'options.log_tail', true,
+            'options.client_context', true
+        )
+        : ConfigParams.fromTuples(
+            'connection.protocol', 'aws',
+            'connection.arn', lambdaArn,
+            'credential.access_id', awsAccessId,
+            'credential.access_key', awsAccessKey,
+            'options.connection_timeout', 30000
+        );
 
+    let lambda: DummyCommandableLambdaFunction;
+    let service: LambdaEmulatorService;
     let client: DummyCommandableLambdaClient;
     let fixture: DummyClientFixture;
 
+    suiteSetup((done) => {
+        if (!useEmulator) {
+            done();
+            return;
+        }
+
+        lambda = new DummyCommandableLambdaFunction();
+        lambda.configure(ConfigParams.fromTuples(
+            'controller.descriptor', 'pip-services-dummies:controller:default:default:1.0'
+        ));
+
+        service = new LambdaEmulatorService();
+        service.configure(ConfigParams.fromTuples(
+            'connection.protocol', 'http',
+            'connection.host', 'localhost',
+            'connection.port', 3010
+        ));
+        service.addFunction('dummy', lambda);
+        service.setReferences(new References());
+
+        async.series([
+            (callback) => {
+                lambda.open(null, callback);
+            },
+            (callback) => {
+                service.open(null, callback);
+            }
+        ], done);
+    });
+
+    suiteTeardown((done) => {
+        if (!useEmulator) {
+            done();
+            return;
+        }
+
+        async.series([
+            (callback) => {
+                service.close(null, callback);
+            },
+            (callback) => {
+                lambda.close(null, callback);
+            }
+        ], done);
+    });
+
     setup((done) => {
         client = new DummyCommandableLambdaClient();
         client.configure(lambdaConfig);
@@ -40,4 +106,133 @@ suite('DummyCommandableLambdaClient', ()=> {
         fixture.testCrudOperations(done);
     });
 
+    test('Error Handling', (done) => {
+        client.callCommand(
+            'create_dummy',
+            '123',
+            {},
+            (err, result) => {
+                assert.instanceOf(err, BadRequestException);
+                assert.equal(err.code, 'INVALID_DATA');
+                assert.equal(err.status, 400);
+                assert.equal(err.correlation_id, '123');
+
+                if (useEmulator) {
+                    assert.include(err.details.log_tail, 'END RequestId');
+                    assert.equal(err.details.executed_version, '$LATEST');
+                    assert.equal(err.details.status_code, 200);
+                    assert.isNotNull(err.details.request_id);
+                }
+
+                done();
+            }
+        );
+    });
+
+    test('Promise API', async () => {
+        let dummy = await client.callCommand<any>('create_dummy', null, {
+            dummy: { key: 'Key 4', content: 'Content 4' }
+        });
+        assert.equal(dummy.key, 'Key 4');
+
+        let results = await client.callBatch(null, [
+            { cmd: 'get_dummy_by_id', params: { dummy_id: dummy.id } }
+        ]);
+        assert.equal(results[0].result.id, dummy.id);
+
+        let error = null;
+        try {
+            await client.callCommand('create_dummy', null, {});
+        } catch (err) {
+            error = err;
+        }
+        assert.instanceOf(error, BadRequestException);
+
+        await client.close(null);
+        await client.open(null);
+        assert.isTrue(client.isOpen());
+    });
+
+    test('Calls Without Callback', (done) => {
+        let rejections = 0;
+        let onRejection = () => { rejections++; };
+        process.on('unhandledRejection', onRejection);
+
+        // Fire-and-forget calls do not fail with unhandled rejection
+        client.callCommand('create_dummy', null, {});
+        client.callBatch(null, [{ cmd: 'create_dummy', params: {} }]);
+
+        setTimeout(() => {
+            process.removeListener('unhandledRejection', onRejection);
+            assert.equal(rejections, 0);
+            done();
+        }, 500);
+    });
+
+    test('Batch Operations', (done) => {
+        client.callBatch(
+            null,
+            [
+                { cmd: 'create_dummy', params: { dummy: { key: 'Key 3', content: 'Content 3' } } },
+                { cmd: 'get_dummy_by_id', params: {} },
+                { cmd: 'unknown_dummy' }
+            ],
+            false,
+            (err, results) => {
+                assert.isNull(err);
+
+                assert.lengthOf(results, 3);
+                assert.equal(results[0].result.key, 'Key 3');
+                assert.equal(results[1].error.code, 'INVALID_DATA');
+                assert.equal(results[2].error.code, 'NO_ACTION');
+                assert.equal(results[2].error.status, 400);
+
+                done();
+            }
+        );
+    });
+
+    test('Batch Operations Promise', async () => {
+        // Promise calls are instrumented the same way as callback calls
+        let names = [];
+        let instrument = (<any>client).instrument.bind(client);
+        (<any>client).instrument = (correlationId, name) => {
+            names.push(name);
+            return instrument(correlationId, name);
+        };
+
+        try {
+            let results = await client.callBatch(null, [{ cmd: 'unknown_dummy' }]);
+            assert.lengthOf(results, 1);
+            assert.equal(results[0].error.code, 'NO_ACTION');
+            assert.include(names, 'dummy.$batch');
+        } finally {
+            delete (<any>client).instrument;
+        }
+    });
+
+    test('Parallel Calls', (done) => {
+        client.callMany(
+            null,
+            [
+                { cmd: 'create_dummy', params: { dummy: { key: 'Key 5', content: 'Content 5' } } },
+                { cmd: 'create_dummy', params: {} },
+                { cmd: 'create_dummy', params: { dummy: { key: 'Key 6', content: 'Content 6' } } },
+                { cmd: 'unknown_dummy' }
+            ],
+            (err, results) => {
+                assert.isNull(err);
+
+                assert.lengthOf(results, 4);
+                assert.equal(results[0].result.key, 'Key 5');
+                assert.instanceOf(results[1].error, BadRequestException);
+                assert.equal(results[1].error.code, 'INVALID_DATA');
+                assert.equal(results[2].result.key, 'Key 6');
+                assert.equal(results[3].error.code, 'NO_ACTION');
+
+                done();
+            }
+        );
+    });
+
 });
\ No newline at end of file
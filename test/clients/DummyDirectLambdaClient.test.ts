@@ -0,0 +1,99 @@
+let assert = require('chai').assert;
+let async = require('async');
+
+import { ConfigParams } from 'pip-services3-commons-node';
+import { BadRequestException } from 'pip-services3-commons-node';
+import { Descriptor } from 'pip-services3-commons-node';
+import { References } from 'pip-services3-commons-node';
+import { DummyLambdaFunction } from '../container/DummyLambdaFunction';
+import { DummyClientFixture } from '../DummyClientFixture';
+import { DummyDirectLambdaClient } from './DummyDirectLambdaClient';
+
+suite('DummyDirectLambdaClient', ()=> {
+    let lambda: DummyLambdaFunction;
+    let client: DummyDirectLambdaClient;
+    let fixture: DummyClientFixture;
+
+    suiteSetup((done) => {
+        lambda = new DummyLambdaFunction();
+        lambda.configure(ConfigParams.fromTuples(
+            'controller.descriptor', 'pip-services-dummies:controller:default:default:1.0'
+        ));
+
+        lambda.open(null, done);
+    });
+
+    suiteTeardown((done) => {
+        lambda.close(null, done);
+    });
+
+    setup((done) => {
+        client = new DummyDirectLambdaClient();
+        client.setReferences(References.fromTuples(
+            new Descriptor('pip-services-dummies', 'function', 'default', 'default', '1.0'), lambda
+        ));
+
+        fixture = new DummyClientFixture(client);
+
+        client.open(null, done);
+    });
+
+    teardown((done) => {
+        client.close(null, done);
+    });
+
+    test('Closed Function', (done) => {
+        let closedClient = new DummyDirectLambdaClient();
+        closedClient.setReferences(References.fromTuples(
+            new Descriptor('pip-services-dummies', 'function', 'default', 'default', '1.0'), new DummyLambdaFunction()
+        ));
+
+        closedClient.open(null, (err) => {
+            assert.isNotNull(err);
+            assert.equal(err.code, 'FUNCTION_NOT_OPENED');
+            assert.isFalse(closedClient.isOpen());
+            done();
+        });
+    });
+
+    test('Crud Operations', (done) => {
+        fixture.testCrudOperations(done);
+    });
+
+    test('Error Handling', (done) => {
+        async.series([
+            (callback) => {
+                client.createDummy('123', null, (err, result) => {
+                    assert.instanceOf(err, BadRequestException);
+                    assert.equal(err.code, 'INVALID_DATA');
+                    assert.equal(err.correlation_id, '123');
+
+                    callback();
+                });
+            },
+            (callback) => {
+                (<any>client).callCommand('unknown_dummy', null, {}, (err, result) => {
+                    assert.isNotNull(err);
+                    assert.equal(err.code, 'NO_ACTION');
+
+                    callback();
+                });
+            }
+        ], done);
+    });
+
+    test('Serialization', (done) => {
+        let dummy: any = { key: 'Key 7', content: 'Content 7', created: new Date(0) };
+
+        client.createDummy(null, dummy, (err, result: any) => {
+            assert.isNull(err);
+
+            // Dates are passed as strings like in remote calls
+            assert.equal(result.created, new Date(0).toISOString());
+            assert.notStrictEqual(result, dummy);
+
+            done();
+        });
+    });
+
+});
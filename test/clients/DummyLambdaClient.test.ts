@@ -1,6 +1,12 @@
+let assert = require('chai').assert;
 let process = require('process');
+let async = require('async');
+let http = require('http');
 
 import { ConfigParams } from 'pip-services3-commons-node';
+import { References } from 'pip-services3-commons-node';
+import { LambdaEmulatorService } from '../../src/services/LambdaEmulatorService';
+import { DummyLambdaFunction } from '../container/DummyLambdaFunction';
 import { DummyClientFixture } from '../DummyClientFixture';
 import { DummyLambdaClient } from './DummyLambdaClient';
 
@@ -9,20 +15,77 @@ let awsAccessKey = process.env['AWS_ACCESS_KEY'];
 let lambdaArn = process.env['LAMBDA_ARN'];
 
 suite('DummyLambdaClient', ()=> {
-    if (!awsAccessId || !awsAccessKey || !lambdaArn)
-        return;
-    
-    let lambdaConfig = ConfigParams.fromTuples(
-        'connection.protocol', 'aws',
-        'connection.arn', lambdaArn,
-        'credential.access_id', awsAccessId,
-        'credential.access_key', awsAccessKey,
-        'options.connection_timeout', 30000
-    );
+    // Run against local emulator when AWS connection is not set
+    let useEmulator = !awsAccessId || !awsAccessKey || !lambdaArn;
 
+    let lambdaConfig = useEmulator
+        ? ConfigParams.fromTuples(
+            'connection.region', 'us-east-1',
+            'connection.host', 'localhost',
+            'connection.port', 3010,
+            'connection.ssl_enabled', false,
+            'connection.arn', 'arn:aws:lambda:us-east-1:000000000000:function:dummy',
+            'options.connection_timeout', 30000
+        )
+        : ConfigParams.fromTuples(
+            'connection.protocol', 'aws',
+            'connection.arn', lambdaArn,
+            'credential.access_id', awsAccessId,
+            'credential.access_key', awsAccessKey,
+            'options.connection_timeout', 30000
+        );
+
+    let lambda: DummyLambdaFunction;
+    let service: LambdaEmulatorService;
     let client: DummyLambdaClient;
     let fixture: DummyClientFixture;
 
+    suiteSetup((done) => {
+        if (!useEmulator) {
+            done();
+            return;
+        }
+
+        lambda = new DummyLambdaFunction();
+        lambda.configure(ConfigParams.fromTuples(
+            'controller.descriptor', 'pip-services-dummies:controller:default:default:1.0'
+        ));
+
+        service = new LambdaEmulatorService();
+        service.configure(ConfigParams.fromTuples(
+            'connection.protocol', 'http',
+            'connection.host', 'localhost',
+            'connection.port', 3010
+        ));
+        service.addFunction('dummy', lambda);
+        service.setReferences(new References());
+
+        async.series([
+            (callback) => {
+                lambda.open(null, callback);
+            },
+            (callback) => {
+                service.open(null, callback);
+            }
+        ], done);
+    });
+
+    suiteTeardown((done) => {
+        if (!useEmulator) {
+            done();
+            return;
+        }
+
+        async.series([
+            (callback) => {
+                service.close(null, callback);
+            },
+            (callback) => {
+                lambda.close(null, callback);
+            }
+        ], done);
+    });
+
     setup((done) => {
         client = new DummyLambdaClient();
         client.configure(lambdaConfig);
@@ -40,4 +103,293 @@ suite('DummyLambdaClient', ()=> {
         fixture.testCrudOperations(done);
     });
 
+    test('Qualifiers', (done) => {
+        if (!useEmulator) {
+            done();
+            return;
+        }
+
+        let qualifiers = [];
+
+        client = new DummyLambdaClient();
+        client.configure(ConfigParams.mergeConfigs(
+            lambdaConfig,
+            ConfigParams.fromTuples(
+                'connection.qualifier', 'live'
+            )
+        ));
+
+        async.series([
+            (callback) => {
+                client.open(null, callback);
+            },
+            // Capture invocation parameters
+            (callback) => {
+                let lambdaSdk = (<any>client)._lambda;
+                let invoke = lambdaSdk.invoke.bind(lambdaSdk);
+                lambdaSdk.invoke = (params, callback) => {
+                    assert.notMatch(params.FunctionName, /:live$/);
+                    qualifiers.push(params.Qualifier);
+                    invoke(params, callback);
+                };
+                callback();
+            },
+            // Use configured qualifier
+            (callback) => {
+                client.getDummies(null, null, null, (err, page) => {
+                    assert.isNull(err);
+                    assert.isObject(page);
+                    callback();
+                });
+            },
+            // Override qualifier per call
+            (callback) => {
+                (<any>client).callQualified('canary', 'get_dummies', null, {}, (err, page) => {
+                    assert.isNull(err);
+                    assert.isObject(page);
+                    callback();
+                });
+            },
+            (callback) => {
+                assert.sameOrderedMembers(qualifiers, ['live', 'canary']);
+                client.close(null, callback);
+            }
+        ], done);
+    });
+
+    test('Call Timeout', (done) => {
+        if (!useEmulator) {
+            done();
+            return;
+        }
+
+        client = new DummyLambdaClient();
+        client.configure(ConfigParams.mergeConfigs(
+            lambdaConfig,
+            ConfigParams.fromTuples(
+                'options.max_concurrency', 2,
+                'options.call_timeout', 200
+            )
+        ));
+
+        async.series([
+            (callback) => {
+                client.open(null, callback);
+            },
+            (callback) => {
+                (<any>client).callMany(
+                    null,
+                    [
+                        { cmd: 'wait', params: { delay: 0 } },
+                        { cmd: 'wait', params: { delay: 1000 } },
+                        { cmd: 'get_dummies' }
+                    ],
+                    (err, results) => {
+                        assert.isNull(err);
+
+                        assert.lengthOf(results, 3);
+                        assert.isNotNull(results[0].result.deadline);
+                        assert.equal(results[1].error.code, 'CALL_TIMEOUT');
+                        assert.isObject(results[2].result);
+
+                        callback();
+                    }
+                );
+            }
+        ], done);
+    });
+
+    test('Retries and Circuit Breaker', (done) => {
+        if (!useEmulator) {
+            done();
+            return;
+        }
+
+        let attempts = 0;
+        let failures = 0;
+        let correlationId = null;
+
+        client = new DummyLambdaClient();
+        client.configure(ConfigParams.mergeConfigs(
+            lambdaConfig,
+            ConfigParams.fromTuples(
+                'options.retries', 2,
+                'options.retry_timeout', 1,
+                'options.circuit_breaker', true,
+                'options.failure_threshold', 1
+            )
+        ));
+
+        async.series([
+            (callback) => {
+                client.open(null, callback);
+            },
+            // Simulate throttling
+            (callback) => {
+                let lambdaSdk = (<any>client)._lambda;
+                let invoke = lambdaSdk.invoke.bind(lambdaSdk);
+                lambdaSdk.invoke = (params, callback) => {
+                    attempts++;
+                    correlationId = JSON.parse(params.Payload).correlation_id;
+                    if (failures > 0) {
+                        failures--;
+                        let err: any = new Error('Rate exceeded');
+                        err.code = 'TooManyRequestsException';
+                        err.statusCode = 429;
+                        callback(err, null);
+                    } else {
+                        invoke(params, callback);
+                    }
+                };
+                callback();
+            },
+            // Recover after retries
+            (callback) => {
+                attempts = 0;
+                failures = 2;
+                client.getDummies(null, null, null, (err, page) => {
+                    assert.isNull(err);
+                    assert.isObject(page);
+                    assert.equal(attempts, 3);
+
+                    callback();
+                });
+            },
+            // Fail when retries are exhausted
+            (callback) => {
+                attempts = 0;
+                failures = 3;
+                client.getDummies(null, null, null, (err, page) => {
+                    assert.isNotNull(err);
+                    assert.equal(err.code, 'CALL_FAILED');
+                    assert.equal(attempts, 3);
+                    // Generated correlation id is reported when caller passed none
+                    assert.isNotNull(err.correlation_id);
+                    assert.equal(err.correlation_id, correlationId);
+
+                    callback();
+                });
+            },
+            // Fail fast when circuit is open
+            (callback) => {
+                attempts = 0;
+                client.getDummies(null, null, null, (err, page) => {
+                    assert.isNotNull(err);
+                    assert.equal(err.code, 'CIRCUIT_OPEN');
+                    assert.equal(attempts, 0);
+                    assert.isNotNull(err.correlation_id);
+
+                    callback();
+                });
+            }
+        ], done);
+    });
+
+    test('Malformed Function Name', (done) => {
+        if (!useEmulator) {
+            done();
+            return;
+        }
+
+        let req = http.request({
+            host: 'localhost',
+            port: 3010,
+            method: 'POST',
+            path: '/2015-03-31/functions/%E0%A4%A/invocations'
+        }, (res) => {
+            res.resume();
+            assert.equal(res.statusCode, 400);
+            assert.equal(res.headers['x-amzn-errortype'], 'InvalidParameterValueException');
+            done();
+        });
+        req.on('error', done);
+        req.end('{}');
+    });
+
+    test('Closed Function', (done) => {
+        if (!useEmulator) {
+            done();
+            return;
+        }
+
+        let closedLambda = new DummyLambdaFunction();
+
+        async.series([
+            // Emulator does not start functions by itself
+            (callback) => {
+                let closedService = new LambdaEmulatorService();
+                closedService.configure(ConfigParams.fromTuples(
+                    'connection.port', 3016
+                ));
+                closedService.addFunction('closed', closedLambda);
+                closedService.open(null, (err) => {
+                    assert.isNotNull(err);
+                    assert.equal(err.code, 'FUNCTION_NOT_OPENED');
+                    assert.isFalse(closedService.isOpen());
+                    callback();
+                });
+            },
+            // Functions added to running emulator are not started either
+            (callback) => {
+                service.addFunction('closed', closedLambda);
+
+                let req = http.request({
+                    host: 'localhost',
+                    port: 3010,
+                    method: 'POST',
+                    path: '/2015-03-31/functions/closed/invocations'
+                }, (res) => {
+                    res.resume();
+                    service.removeFunction('closed');
+                    assert.equal(res.statusCode, 502);
+                    assert.equal(res.headers['x-amzn-errortype'], 'ResourceNotReadyException');
+                    assert.isFalse(closedLambda.isOpen());
+                    callback();
+                });
+                req.on('error', callback);
+                req.end('{}');
+            }
+        ], done);
+    });
+
+    test('Calls Without Callback', (done) => {
+        let rejections = 0;
+        let onRejection = () => { rejections++; };
+        process.on('unhandledRejection', onRejection);
+
+        client = new DummyLambdaClient();
+        client.configure(ConfigParams.fromTuples(
+            'connection.region', 'us-east-1',
+            'connection.uri', 'http://localhost:3099',
+            'connection.arn', 'arn:aws:lambda:us-east-1:000000000000:function:dummy',
+            'options.retries', 0
+        ));
+
+        async.series([
+            (callback) => {
+                client.open(null, callback);
+            },
+            // Fire-and-forget calls do not fail with unhandled rejection
+            (callback) => {
+                (<any>client).callOneWay('get_dummies', null, {});
+                (<any>client).call('get_dummies', null, {});
+                setTimeout(callback, 500);
+            },
+            // Awaited calls still fail
+            (callback) => {
+                (<any>client).callOneWay('get_dummies', null, {}).then(
+                    () => { callback(new Error('Error expected')); },
+                    (err) => {
+                        assert.equal(err.code, 'CALL_FAILED');
+                        callback();
+                    }
+                );
+            }
+        ], (err) => {
+            process.removeListener('unhandledRejection', onRejection);
+            assert.equal(rejections, 0);
+            done(err);
+        });
+    });
+
 });
\ No newline at end of file
@@ -0,0 +1,161 @@
+let assert = require('chai').assert;
+
+import { AwsArn } from '../../src/connect/AwsArn';
+import { AwsConnectionParams } from '../../src/connect/AwsConnectionParams';
+
+suite('AwsArn', ()=> {
+
+    test('Parse Layouts', (done) => {
+        let arn = AwsArn.fromString("arn:aws:s3:::my-bucket");
+        assert.equal("aws", arn.getPartition());
+        assert.equal("s3", arn.getService());
+        assert.equal("", arn.getRegion());
+        assert.equal("", arn.getAccount());
+        assert.isNull(arn.getResourceType());
+        assert.equal("my-bucket", arn.getResource());
+        assert.isNull(arn.getQualifier());
+
+        arn = AwsArn.fromString("arn:aws-cn:iam::123456789012:role/path/my-role");
+        assert.equal("aws-cn", arn.getPartition());
+        assert.equal("role", arn.getResourceType());
+        assert.equal("path/my-role", arn.getResource());
+        assert.equal("/", arn.getSeparator());
+        assert.isFalse(arn.isQualifiable());
+
+        arn = AwsArn.fromString("arn:aws:lambda:us-east-1:123456789012:function:my-function:live");
+        assert.equal("us-east-1", arn.getRegion());
+        assert.equal("123456789012", arn.getAccount());
+        assert.equal("function", arn.getResourceType());
+        assert.equal("my-function", arn.getResource());
+        assert.equal("live", arn.getQualifier());
+        assert.isTrue(arn.isQualifiable());
+
+        assert.isNull(AwsArn.fromString(null));
+
+        done();
+    });
+
+    test('Format ARN', (done) => {
+        let values = [
+            "arn:aws:s3:::my-bucket",
+            "arn:aws:iam::123456789012:role/my-role",
+            "arn:aws:lambda:us-east-1:123456789012:function:my-function",
+            "arn:aws:lambda:us-east-1:123456789012:function:my-function:live",
+            "arn:aws:logs:us-east-1:123456789012:log-group:my-group:log-stream:my-stream",
+            "arn:aws:sns:us-east-1:123456789012:my-topic:2f8b5d56-0bd2-4d8a-9a4e-1e1b4d1f0c1e"
+        ];
+
+        for (let value of values)
+            assert.equal(value, AwsArn.fromString(value).toString());
+
+        let arn = AwsArn.fromString("arn:aws:lambda:us-east-1:123456789012:function:my-function:live");
+        assert.equal("arn:aws:lambda:us-east-1:123456789012:function:my-function:3", arn.withQualifier("3").toString());
+        assert.equal("arn:aws:lambda:us-east-1:123456789012:function:my-function", arn.withQualifier(null).toString());
+
+        arn = new AwsArn("aws", "iam", null, "123456789012", "role", "my-role", "live", "/");
+        assert.equal("arn:aws:iam::123456789012:role/my-role", arn.toString());
+
+        done();
+    });
+
+    test('Parse URI', (done) => {
+        let arn = AwsArn.fromUri("aws://lambda/us-east-1/123456789012/my-function:live");
+        assert.equal("arn:aws:lambda:us-east-1:123456789012:function:my-function:live", arn.toString());
+
+        arn = AwsArn.fromUri("aws://lambda/us-east-1/123456789012/function/my-function");
+        assert.equal("arn:aws:lambda:us-east-1:123456789012:function:my-function", arn.toString());
+
+        arn = AwsArn.fromUri("aws://s3///my-bucket");
+        assert.equal("arn:aws:s3:::my-bucket", arn.toString());
+
+        assert.isTrue(AwsArn.isUri("aws://lambda/us-east-1/123456789012/my-function"));
+        assert.isFalse(AwsArn.isUri("http://localhost:3010"));
+        assert.throws(() => AwsArn.fromUri("aws://lambda/my-function"));
+
+        done();
+    });
+
+    test('Region Partition', (done) => {
+        assert.equal("aws", AwsArn.getRegionPartition("us-east-1"));
+        assert.equal("aws", AwsArn.getRegionPartition(null));
+        assert.equal("aws-cn", AwsArn.getRegionPartition("cn-north-1"));
+        assert.equal("aws-us-gov", AwsArn.getRegionPartition("us-gov-west-1"));
+
+        let arn = AwsArn.fromUri("aws://lambda/cn-northwest-1/123456789012/my-function");
+        assert.equal("arn:aws-cn:lambda:cn-northwest-1:123456789012:function:my-function", arn.toString());
+
+        // Partition is inferred when ARN is composed
+        let connection = new AwsConnectionParams({
+            service: "lambda",
+            region: "us-gov-west-1",
+            account: "123456789012",
+            resource_type: "function",
+            resource: "my-function"
+        });
+        assert.equal("arn:aws-us-gov:lambda:us-gov-west-1:123456789012:function:my-function", connection.getArn());
+        assert.isNull(connection.validate(null));
+
+        connection.setPartition("aws");
+        assert.equal("PARTITION_MISMATCH", connection.validate(null).code);
+
+        done();
+    });
+
+    test('Wrong Format', (done) => {
+        for (let value of ["arn:aws:lambda", "arn:aws:s3::my-bucket", "urn:aws:s3:::my-bucket"]) {
+            try {
+                AwsArn.fromString(value);
+                assert.fail("Exception expected for " + value);
+            } catch (ex) {
+                assert.equal("INVALID_ARN", ex.code);
+            }
+        }
+
+        // Connection keeps previous values
+        let connection = new AwsConnectionParams();
+        connection.setArn("arn:aws:lambda:us-east-1:123456789012:function:my-function");
+        assert.throws(() => connection.setArn("arn:aws:lambda"));
+        assert.equal("my-function", connection.getResource());
+
+        done();
+    });
+
+    test('Validate ARN', (done) => {
+        let codes = {
+            "arn:aws:lambda:us-east-1:123456789012:function:my-function:live": null,
+            "arn:aws:s3:::my-bucket": null,
+            "arn:aws:iam::aws:policy/ReadOnlyAccess": null,
+            "arn:amazon:lambda:us-east-1:123456789012:function:my-function": "INVALID_ARN_PARTITION",
+            "arn:aws:Lambda:us-east-1:123456789012:function:my-function": "INVALID_ARN_SERVICE",
+            "arn:aws:lambda:useast1:123456789012:function:my-function": "INVALID_ARN_REGION",
+            "arn:aws:lambda:us-east-1:12342342332:function:my-function": "INVALID_ARN_ACCOUNT",
+            "arn:aws:lambda:us-east-1:123456789012:function:": "NO_ARN_RESOURCE",
+            "arn:aws:lambda:us-east-1:123456789012:function:my-function:": "INVALID_ARN_QUALIFIER",
+            "arn:aws-cn:lambda:cn-north-1:123456789012:function:my-function": null,
+            "arn:aws:lambda:cn-north-1:123456789012:function:my-function": "PARTITION_MISMATCH",
+            "arn:aws-us-gov:lambda:us-east-1:123456789012:function:my-function": "PARTITION_MISMATCH"
+        };
+
+        for (let value in codes) {
+            let err = AwsArn.fromString(value).validate("123");
+            if (codes[value] == null)
+                assert.isNull(err, value);
+            else
+                assert.equal(codes[value], err.code, value);
+        }
+
+        // Connection validates configured ARN
+        let connection = new AwsConnectionParams({
+            arn: "arn:aws:lambda:us-east-1:123:function:my-function"
+        });
+        assert.equal("INVALID_ARN_ACCOUNT", connection.validate("123").code);
+
+        connection = new AwsConnectionParams({
+            arn: "arn:aws:lambda:us-east-1"
+        });
+        assert.equal("INVALID_ARN", connection.validate("123").code);
+
+        done();
+    });
+
+});
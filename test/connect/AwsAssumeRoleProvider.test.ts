@@ -0,0 +1,194 @@
+let assert = require('chai').assert;
+let async = require('async');
+let http = require('http');
+let querystring = require('querystring');
+
+import { ConfigParams } from 'pip-services3-commons-node';
+import { AwsConnectionParams } from '../../src/connect/AwsConnectionParams';
+import { AwsClientOptions } from '../../src/connect/AwsClientOptions';
+import { AwsConnectionResolver } from '../../src/connect/AwsConnectionResolver';
+import { AwsAssumeRoleProvider } from '../../src/connect/AwsAssumeRoleProvider';
+
+suite('AwsAssumeRoleProvider', ()=> {
+    let server: any;
+    let requests: any[] = [];
+    let lifetime = 3600000;
+
+    // Stand-in for STS AssumeRole API
+    suiteSetup((done) => {
+        server = http.createServer((req, res) => {
+            let chunks = [];
+            req.on('data', (chunk) => { chunks.push(chunk); });
+            req.on('end', () => {
+                let params = querystring.parse(Buffer.concat(chunks).toString('utf8'));
+                requests.push(params);
+
+                let id = requests.length;
+                let expiration = new Date(new Date().getTime() + lifetime).toISOString();
+                res.writeHead(200, { 'Content-Type': 'text/xml' });
+                res.end(
+                    '<AssumeRoleResponse xmlns="https://sts.amazonaws.com/doc/2011-06-15/">'
+                    + '<AssumeRoleResult><Credentials>'
+                    + '<AccessKeyId>TEMP_ID_' + id + '</AccessKeyId>'
+                    + '<SecretAccessKey>TEMP_KEY_' + id + '</SecretAccessKey>'
+                    + '<SessionToken>TEMP_TOKEN_' + id + '</SessionToken>'
+                    + '<Expiration>' + expiration + '</Expiration>'
+                    + '</Credentials>'
+                    + '<AssumedRoleUser><Arn>' + params.RoleArn + '</Arn><AssumedRoleId>ROLE:' + params.RoleSessionName + '</AssumedRoleId></AssumedRoleUser>'
+                    + '</AssumeRoleResult>'
+                    + '<ResponseMetadata><RequestId>' + id + '</RequestId></ResponseMetadata>'
+                    + '</AssumeRoleResponse>'
+                );
+            });
+        });
+        server.listen(3011, 'localhost', done);
+    });
+
+    suiteTeardown((done) => {
+        server.close(done);
+    });
+
+    setup(() => {
+        requests = [];
+        lifetime = 3600000;
+        AwsAssumeRoleProvider.clear();
+    });
+
+    let connection = new AwsConnectionParams({
+        region: 'us-east-1',
+        access_id: 'ID',
+        access_key: 'KEY',
+        role_arn: 'arn:aws:iam::123456789012:role/test',
+        external_id: 'EXT',
+        session_name: 'test',
+        sts_endpoint: 'http://localhost:3011'
+    });
+
+    test('Assume Role', (done) => {
+        let provider = AwsAssumeRoleProvider.getProvider(connection, new AwsClientOptions());
+
+        async.series([
+            // Concurrent requests share the same STS call
+            (callback) => {
+                async.times(3, (n, callback) => {
+                    provider.getCredentials(null, callback);
+                }, (err, results) => {
+                    assert.isNull(err);
+                    assert.lengthOf(requests, 1);
+                    assert.equal(requests[0].RoleArn, 'arn:aws:iam::123456789012:role/test');
+                    assert.equal(requests[0].ExternalId, 'EXT');
+                    assert.equal(requests[0].RoleSessionName, 'test');
+
+                    assert.equal(results[0].accessKeyId, 'TEMP_ID_1');
+                    assert.equal(results[2].sessionToken, 'TEMP_TOKEN_1');
+                    assert.instanceOf(results[0].expiration, Date);
+                    callback();
+                });
+            },
+            // Cached credentials are reused
+            (callback) => {
+                let other = AwsAssumeRoleProvider.getProvider(new AwsConnectionParams(connection), new AwsClientOptions());
+                assert.strictEqual(other, provider);
+
+                other.getCredentials(null, (err, credentials) => {
+                    assert.isNull(err);
+                    assert.equal(credentials.accessKeyId, 'TEMP_ID_1');
+                    assert.lengthOf(requests, 1);
+                    callback();
+                });
+            }
+        ], done);
+    });
+
+    test('Refresh Credentials', (done) => {
+        // Credentials expire within refresh window
+        lifetime = 60000;
+        let provider = new AwsAssumeRoleProvider(connection, new AwsClientOptions());
+
+        async.series([
+            (callback) => {
+                provider.getCredentials(null, (err, credentials) => {
+                    assert.isNull(err);
+                    assert.equal(credentials.accessKeyId, 'TEMP_ID_1');
+                    callback();
+                });
+            },
+            (callback) => {
+                provider.getCredentials(null, (err, credentials) => {
+                    assert.isNull(err);
+                    assert.equal(credentials.accessKeyId, 'TEMP_ID_2');
+                    assert.lengthOf(requests, 2);
+                    callback();
+                });
+            }
+        ], done);
+    });
+
+    test('Client Credentials', (done) => {
+        let clientOptions = new AwsClientOptions();
+
+        async.series([
+            (callback) => {
+                let options = clientOptions.composeV3(connection);
+                options.credentials().then((credentials) => {
+                    assert.equal(credentials.accessKeyId, 'TEMP_ID_1');
+                    assert.equal(credentials.sessionToken, 'TEMP_TOKEN_1');
+                    callback();
+                }, callback);
+            },
+            (callback) => {
+                let options = clientOptions.compose(connection);
+                assert.isUndefined(options.accessKeyId);
+
+                options.credentials.get((err) => {
+                    assert.isNull(err || null);
+                    assert.equal(options.credentials.accessKeyId, 'TEMP_ID_1');
+                    assert.equal(options.credentials.sessionToken, 'TEMP_TOKEN_1');
+                    assert.lengthOf(requests, 1);
+                    callback();
+                });
+            }
+        ], done);
+    });
+
+    test('Resolve Connection', (done) => {
+        let config = ConfigParams.fromTuples(
+            'connection.region', 'us-east-1',
+            'connection.arn', 'arn:aws:lambda:us-east-1:123456789012:function:dummy',
+            'credential.access_id', 'ID',
+            'credential.access_key', 'KEY',
+            'credential.role_arn', 'arn:aws:iam::123456789012:role/other',
+            'credential.sts_endpoint', 'http://localhost:3011'
+        );
+
+        async.series([
+            (callback) => {
+                let resolver = new AwsConnectionResolver();
+                resolver.configure(config);
+
+                resolver.resolve(null, (err, connection) => {
+                    assert.isNull(err);
+                    assert.equal(connection.getRoleArn(), 'arn:aws:iam::123456789012:role/other');
+                    assert.lengthOf(requests, 1);
+                    assert.equal(requests[0].RoleSessionName, 'pip-services');
+                    callback();
+                });
+            },
+            // Fail when the role cannot be assumed
+            (callback) => {
+                let resolver = new AwsConnectionResolver();
+                resolver.configure(ConfigParams.mergeConfigs(config, ConfigParams.fromTuples(
+                    'credential.sts_endpoint', 'http://localhost:3012'
+                )));
+
+                resolver.resolve(null, (err, connection) => {
+                    assert.isNotNull(err);
+                    assert.equal(err.code, 'ASSUME_ROLE_FAILED');
+                    assert.isNull(connection);
+                    callback();
+                });
+            }
+        ], done);
+    });
+
+});
@@ -0,0 +1,96 @@
+let assert = require('chai').assert;
+
+import { ConfigParams } from 'pip-services3-commons-node';
+import { AwsConnectionParams } from '../../src/connect/AwsConnectionParams';
+import { AwsClientOptions } from '../../src/connect/AwsClientOptions';
+import { AwsClientFactory } from '../../src/connect/AwsClientFactory';
+
+suite('AwsClientFactory', ()=> {
+    let connection = new AwsConnectionParams({
+        region: 'us-east-1',
+        uri: 'http://localhost:4566'
+    });
+
+    test('Create SDK v3 Client', (done) => {
+        let clientOptions = new AwsClientOptions();
+        clientOptions.configure(ConfigParams.fromTuples(
+            'options.sdk_version', 3
+        ));
+
+        let client = AwsClientFactory.create('logs', connection, clientOptions);
+        assert.equal(client.sdkVersion, 3);
+        assert.isFunction(client.putLogEvents);
+        assert.isFunction(client.createLogGroup);
+
+        client.destroy();
+
+        done();
+    });
+
+    test('Create SDK v3 Client with HTTP Options', (done) => {
+        let clientOptions = new AwsClientOptions();
+        clientOptions.configure(ConfigParams.fromTuples(
+            'options.sdk_version', 3,
+            'options.connect_timeout', 5000,
+            'options.keep_alive', true
+        ));
+
+        // Handler is created explicitly to support early AWS SDK v3 versions
+        let client = AwsClientFactory.create('lambda', connection, clientOptions);
+        assert.equal(client.client.config.requestHandler.constructor.name, 'NodeHttpHandler');
+
+        client.destroy();
+
+        // Proxy is not silently ignored
+        clientOptions.configure(ConfigParams.fromTuples(
+            'options.proxy', 'http://proxy:3128'
+        ));
+        try {
+            AwsClientFactory.create('lambda', connection, clientOptions);
+            assert.fail();
+        } catch (err) {
+            assert.equal(err.code, 'PROXY_NOT_SUPPORTED');
+        }
+
+        done();
+    });
+
+    test('Create SDK v2 Client', (done) => {
+        let clientOptions = new AwsClientOptions();
+        clientOptions.configure(ConfigParams.fromTuples(
+            'options.sdk_version', 2
+        ));
+
+        let client = AwsClientFactory.create('monitoring', connection, clientOptions);
+        assert.isUndefined(client.sdkVersion);
+        assert.isFunction(client.putMetricData);
+        assert.equal(client.config.region, 'us-east-1');
+
+        done();
+    });
+
+    test('Create FIPS Client', (done) => {
+        let clientOptions = new AwsClientOptions();
+        clientOptions.configure(ConfigParams.fromTuples(
+            'options.sdk_version', 2,
+            'options.use_fips', true
+        ));
+
+        let client = AwsClientFactory.create('lambda', new AwsConnectionParams({ region: 'us-east-1' }), clientOptions);
+        assert.equal(client.endpoint.host, 'lambda-fips.us-east-1.amazonaws.com');
+
+        done();
+    });
+
+    test('Unsupported Service', (done) => {
+        try {
+            AwsClientFactory.create('unknown', connection, new AwsClientOptions());
+            assert.fail();
+        } catch (err) {
+            assert.equal(err.code, 'UNSUPPORTED_SERVICE');
+        }
+
+        done();
+    });
+
+});
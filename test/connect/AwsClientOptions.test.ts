@@ -0,0 +1,100 @@
+let assert = require('chai').assert;
+
+import { ConfigParams } from 'pip-services3-commons-node';
+import { AwsConnectionParams } from '../../src/connect/AwsConnectionParams';
+import { AwsClientOptions } from '../../src/connect/AwsClientOptions';
+
+suite('AwsClientOptions', ()=> {
+
+    test('Compose Options', (done) => {
+        let clientOptions = new AwsClientOptions();
+        clientOptions.configure(ConfigParams.fromTuples(
+            'options.connect_timeout', 5000,
+            'options.timeout', 60000,
+            'options.proxy', 'http://proxy:3128',
+            'options.keep_alive', true
+        ));
+
+        let connection1 = new AwsConnectionParams({
+            region: 'us-east-1',
+            access_id: 'ID1',
+            access_key: 'KEY1'
+        });
+        let connection2 = new AwsConnectionParams({
+            region: 'eu-west-1',
+            access_id: 'ID2',
+            access_key: 'KEY2',
+            session_token: 'TOKEN2'
+        });
+
+        let options1 = clientOptions.compose(connection1, { apiVersion: '2015-03-31' });
+        let options2 = clientOptions.compose(connection2);
+
+        assert.equal(options1.apiVersion, '2015-03-31');
+        assert.equal(options1.region, 'us-east-1');
+        assert.equal(options1.accessKeyId, 'ID1');
+        assert.equal(options1.secretAccessKey, 'KEY1');
+        assert.equal(options2.region, 'eu-west-1');
+        assert.equal(options2.accessKeyId, 'ID2');
+        assert.equal(options2.sessionToken, 'TOKEN2');
+        assert.isUndefined(options1.sessionToken);
+        assert.equal(clientOptions.composeV3(connection2).credentials.sessionToken, 'TOKEN2');
+
+        // Profile credentials are read by AWS SDK
+        let connection3 = new AwsConnectionParams({ region: 'us-east-1', profile: 'dev' });
+        assert.equal(clientOptions.composeV3(connection3).profile, 'dev');
+        assert.isUndefined(clientOptions.composeV3(connection3).credentials);
+
+        assert.equal(options1.httpOptions.connectTimeout, 5000);
+        assert.equal(options1.httpOptions.timeout, 60000);
+        assert.equal(options1.httpOptions.proxy, 'http://proxy:3128');
+        assert.isTrue(options1.httpOptions.agent.keepAlive);
+
+        done();
+    });
+
+    test('Compose Emulator Options', (done) => {
+        let clientOptions = new AwsClientOptions();
+
+        let connection = new AwsConnectionParams({
+            region: 'us-east-1',
+            uri: 'http://localhost:4566'
+        });
+
+        let options = clientOptions.compose(connection);
+        assert.equal(options.endpoint, 'http://localhost:4566');
+        assert.isNotNull(options.accessKeyId);
+        assert.isUndefined(options.httpOptions.agent);
+
+        done();
+    });
+
+    test('Compose Endpoint Options', (done) => {
+        let clientOptions = new AwsClientOptions();
+        clientOptions.configure(ConfigParams.fromTuples(
+            'options.use_fips', true,
+            'options.use_dualstack', true
+        ));
+
+        let connection = new AwsConnectionParams({
+            region: 'us-gov-west-1'
+        });
+
+        let options = clientOptions.compose(connection);
+        assert.isTrue(options.useFipsEndpoint);
+        assert.isTrue(options.useDualstackEndpoint);
+
+        options = clientOptions.composeV3(connection);
+        assert.isTrue(options.useFipsEndpoint);
+        assert.isTrue(options.useDualstackEndpoint);
+
+        // Custom endpoints are used as is
+        connection.setEndpoint('http://localhost:4566');
+        options = clientOptions.composeV3(connection);
+        assert.isUndefined(options.useFipsEndpoint);
+        assert.isUndefined(options.useDualstackEndpoint);
+
+        done();
+    });
+
+});
@@ -39,6 +39,28 @@ suite('AwsConnectionParams', ()=> {
         done();
     });
 
+    test('Parse Qualified ARN', (done) => {
+        let connection = new AwsConnectionParams();
+
+        connection.setArn("arn:aws:lambda:us-east-1:12342342332:function:pip-services-dummies:live")
+        assert.equal("function", connection.getResourceType());
+        assert.equal("pip-services-dummies", connection.getResource());
+        assert.equal("live", connection.getQualifier());
+        assert.equal("arn:aws:lambda:us-east-1:12342342332:function:pip-services-dummies", connection.getUnqualifiedArn());
+        assert.equal("arn:aws:lambda:us-east-1:12342342332:function:pip-services-dummies:live", connection.getArn());
+
+        connection.setQualifier("3");
+        assert.equal("arn:aws:lambda:us-east-1:12342342332:function:pip-services-dummies:3", connection.getArn());
+
+        connection = new AwsConnectionParams();
+        connection.setArn("arn:aws:logs:us-east-1:12342342332:log-group/pip-services-dummies:*")
+        assert.equal("log-group", connection.getResourceType());
+        assert.equal("pip-services-dummies:*", connection.getResource());
+        assert.isNull(connection.getQualifier());
+
+        done();
+    });
+
     test('Compose AR', (done) => {
         let connection = AwsConnectionParams.fromConfig(
             ConfigParams.fromTuples(
@@ -56,6 +78,57 @@ suite('AwsConnectionParams', ()=> {
         assert.equal("1234", connection.getAccessId());
         assert.equal("ABCDEF", connection.getAccessKey());
 
+        connection.setQualifier("canary");
+        assert.equal("arn:aws:lambda:us-east-1:12342342332:function:pip-services-dummies:canary", connection.getArn());
+        assert.equal("arn:aws:lambda:us-east-1:12342342332:function:pip-services-dummies", connection.getUnqualifiedArn());
+
+        done();
+    });
+
+    test('Custom Endpoint', (done) => {
+        let connection = AwsConnectionParams.fromConfig(
+            ConfigParams.fromTuples(
+                'connection.host', 'localhost',
+                'connection.port', 4566,
+                'connection.ssl_enabled', false,
+                'connection.force_path_style', true
+            )
+        );
+
+        assert.equal("http://localhost:4566", connection.getEndpoint());
+        assert.isFalse(connection.isSslEnabled());
+        assert.isTrue(connection.isForcePathStyle());
+        assert.isNull(connection.validate(null));
+
+        connection = AwsConnectionParams.fromConfig(
+            ConfigParams.fromTuples(
+                'connection.uri', 'http://localhost:3010',
+                'connection.host', 'localhost'
+            )
+        );
+        assert.equal("http://localhost:3010", connection.getEndpoint());
+
+        connection = new AwsConnectionParams();
+        assert.isNull(connection.getEndpoint());
+        assert.equal("NO_AWS_CONNECTION", connection.validate(null).code);
+
+        done();
+    });
+
+    test('Optional Credentials', (done) => {
+        let connection = new AwsConnectionParams({
+            arn: "arn:aws:lambda:us-east-1:123456789012:function:pip-services-dummies"
+        });
+        assert.isNull(connection.validate(null));
+
+        connection.setAccessId("1234");
+        assert.equal("NO_ACCESS_KEY", connection.validate(null).code);
+
+        connection.setAccessKey("ABCDEF");
+        connection.setSessionToken("TOKEN");
+        assert.isNull(connection.validate(null));
+        assert.equal("TOKEN", connection.getSessionToken());
+
         done();
     });
 
@@ -0,0 +1,158 @@
+let assert = require('chai').assert;
+let async = require('async');
+let http = require('http');
+let querystring = require('querystring');
+
+import { ConfigParams } from 'pip-services3-commons-node';
+import { Descriptor } from 'pip-services3-commons-node';
+import { References } from 'pip-services3-commons-node';
+import { ConnectionParams } from 'pip-services3-components-node';
+import { MemoryDiscovery } from 'pip-services3-components-node';
+import { AwsConnectionResolver } from '../../src/connect/AwsConnectionResolver';
+
+suite('AwsConnectionResolver', ()=> {
+    let server: any;
+    let requests: any[] = [];
+
+    // Stand-in for STS GetCallerIdentity API
+    suiteSetup((done) => {
+        server = http.createServer((req, res) => {
+            let chunks = [];
+            req.on('data', (chunk) => { chunks.push(chunk); });
+            req.on('end', () => {
+                let params = querystring.parse(Buffer.concat(chunks).toString('utf8'));
+                requests.push(params);
+
+                res.writeHead(200, { 'Content-Type': 'text/xml' });
+                res.end(
+                    '<GetCallerIdentityResponse xmlns="https://sts.amazonaws.com/doc/2011-06-15/">'
+                    + '<GetCallerIdentityResult>'
+                    + '<Arn>arn:aws:iam::210987654321:user/test</Arn>'
+                    + '<UserId>TEST</UserId>'
+                    + '<Account>210987654321</Account>'
+                    + '</GetCallerIdentityResult>'
+                    + '<ResponseMetadata><RequestId>' + requests.length + '</RequestId></ResponseMetadata>'
+                    + '</GetCallerIdentityResponse>'
+                );
+            });
+        });
+        server.listen(3013, 'localhost', done);
+    });
+
+    suiteTeardown((done) => {
+        server.close(done);
+    });
+
+    setup(() => {
+        requests = [];
+    });
+
+    let credentials = ConfigParams.fromTuples(
+        'credential.access_id', 'ID',
+        'credential.access_key', 'KEY',
+        'credential.sts_endpoint', 'http://localhost:3013'
+    );
+
+    let resolve = (config: ConfigParams, references: References, callback: (err: any, connection: any) => void) => {
+        let resolver = new AwsConnectionResolver();
+        resolver.configure(ConfigParams.mergeConfigs(credentials, config));
+        if (references != null)
+            resolver.setReferences(references);
+        resolver.resolve(null, callback);
+    };
+
+    test('Resolve Function Name', (done) => {
+        async.series([
+            // Account is taken from STS
+            (callback) => {
+                resolve(ConfigParams.fromTuples(
+                    'connection.region', 'us-east-1',
+                    'connection.function', 'my-func:live'
+                ), null, (err, connection) => {
+                    assert.isNull(err);
+                    assert.lengthOf(requests, 1);
+                    assert.equal(requests[0].Action, 'GetCallerIdentity');
+                    assert.equal(connection.getAccount(), '210987654321');
+                    assert.equal(connection.getQualifier(), 'live');
+                    assert.equal(connection.getArn(), 'arn:aws:lambda:us-east-1:210987654321:function:my-func:live');
+                    callback();
+                });
+            },
+            // Account is taken from configuration
+            (callback) => {
+                resolve(ConfigParams.fromTuples(
+                    'connection.region', 'us-east-1',
+                    'connection.account', '123456789012',
+                    'connection.function', 'my-func'
+                ), null, (err, connection) => {
+                    assert.isNull(err);
+                    assert.lengthOf(requests, 1);
+                    assert.equal(connection.getUnqualifiedArn(), 'arn:aws:lambda:us-east-1:123456789012:function:my-func');
+                    callback();
+                });
+            }
+        ], done);
+    });
+
+    test('Resolve URI', (done) => {
+        async.series([
+            (callback) => {
+                resolve(ConfigParams.fromTuples(
+                    'connection.uri', 'aws://lambda/us-east-1/123456789012/my-func:live'
+                ), null, (err, connection) => {
+                    assert.isNull(err);
+                    assert.lengthOf(requests, 0);
+                    assert.isNull(connection.getEndpoint());
+                    assert.equal(connection.getRegion(), 'us-east-1');
+                    assert.equal(connection.getResource(), 'my-func');
+                    assert.equal(connection.getArn(), 'arn:aws:lambda:us-east-1:123456789012:function:my-func:live');
+                    callback();
+                });
+            },
+            (callback) => {
+                resolve(ConfigParams.fromTuples(
+                    'connection.uri', 'aws://lambda/us-east-1'
+                ), null, (err, connection) => {
+                    assert.equal(err.code, 'INVALID_AWS_URI');
+                    assert.isNull(connection);
+                    callback();
+                });
+            }
+        ], done);
+    });
+
+    test('Resolve Discovery', (done) => {
+        let discovery = new MemoryDiscovery();
+        let references = References.fromTuples(
+            new Descriptor('pip-services', 'discovery', 'memory', 'default', '1.0'), discovery
+        );
+
+        async.series([
+            (callback) => {
+                discovery.register(null, 'dummy', ConnectionParams.fromTuples(
+                    'uri', 'aws://lambda/us-east-1//my-func:live'
+                ), callback);
+            },
+            (callback) => {
+                resolve(ConfigParams.fromTuples(
+                    'connection.discovery_key', 'dummy'
+                ), references, (err, connection) => {
+                    assert.isNull(err);
+                    assert.lengthOf(requests, 1);
+                    assert.equal(connection.getArn(), 'arn:aws:lambda:us-east-1:210987654321:function:my-func:live');
+                    callback();
+                });
+            },
+            (callback) => {
+                resolve(ConfigParams.fromTuples(
+                    'connection.discovery_key', 'unknown'
+                ), references, (err, connection) => {
+                    assert.equal(err.code, 'CONNECTION_NOT_FOUND');
+                    assert.isNull(connection);
+                    callback();
+                });
+            }
+        ], done);
+    });
+
+});
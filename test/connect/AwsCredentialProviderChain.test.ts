@@ -0,0 +1,220 @@
+let assert = require('chai').assert;
+let async = require('async');
+let fs = require('fs');
+let http = require('http');
+let os = require('os');
+let path = require('path');
+
+import { AwsConnectionParams } from '../../src/connect/AwsConnectionParams';
+import { AwsCredentialProviderChain } from '../../src/connect/AwsCredentialProviderChain';
+
+suite('AwsCredentialProviderChain', ()=> {
+    let credentialsFile = path.join(os.tmpdir(), 'pip-services-aws-credentials-' + process.pid);
+
+    suiteSetup(() => {
+        fs.writeFileSync(credentialsFile, [
+            '[default]',
+            'aws_access_key_id = DEFAULT_ID',
+            'aws_secret_access_key = DEFAULT_KEY',
+            '',
+            '# Temporary credentials',
+            '[dev]',
+            'aws_access_key_id=DEV_ID',
+            'aws_secret_access_key=DEV_KEY',
+            'aws_session_token=DEV_TOKEN'
+        ].join('\n'));
+    });
+
+    suiteTeardown(() => {
+        fs.unlinkSync(credentialsFile);
+    });
+
+    test('Explicit and Environment Credentials', (done) => {
+        let env = {
+            AWS_ACCESS_KEY_ID: 'ENV_ID',
+            AWS_SECRET_ACCESS_KEY: 'ENV_KEY',
+            AWS_SESSION_TOKEN: 'ENV_TOKEN'
+        };
+        let chain = new AwsCredentialProviderChain(env);
+
+        async.series([
+            (callback) => {
+                let connection = new AwsConnectionParams({ access_id: 'ID', access_key: 'KEY' });
+                chain.resolve(null, connection, (err, source) => {
+                    assert.isNull(err);
+                    assert.equal(source, AwsCredentialProviderChain.Config);
+                    assert.equal(connection.getAccessId(), 'ID');
+                    assert.isNull(connection.getSessionToken());
+                    callback();
+                });
+            },
+            (callback) => {
+                let connection = new AwsConnectionParams();
+                chain.resolve(null, connection, (err, source) => {
+                    assert.isNull(err);
+                    assert.equal(source, AwsCredentialProviderChain.Environment);
+                    // Credentials are obtained and refreshed by AWS SDK
+                    assert.isNull(connection.getAccessId());
+                    callback();
+                });
+            }
+        ], done);
+    });
+
+    test('Profile Credentials', (done) => {
+        let chain = new AwsCredentialProviderChain({ AWS_SHARED_CREDENTIALS_FILE: credentialsFile });
+
+        async.series([
+            (callback) => {
+                let connection = new AwsConnectionParams();
+                chain.resolve(null, connection, (err, source) => {
+                    assert.isNull(err);
+                    assert.equal(source, AwsCredentialProviderChain.Profile);
+                    assert.isNull(connection.getAccessId());
+                    callback();
+                });
+            },
+            (callback) => {
+                let connection = new AwsConnectionParams({ profile: 'dev' });
+                chain.resolve(null, connection, (err, source) => {
+                    assert.isNull(err);
+                    assert.equal(source, AwsCredentialProviderChain.Profile);
+                    assert.equal(connection.getProfile(), 'dev');
+                    assert.isNull(connection.getAccessId());
+                    callback();
+                });
+            },
+            // Selected profile takes precedence over environment credentials
+            (callback) => {
+                let env = {
+                    AWS_SHARED_CREDENTIALS_FILE: credentialsFile,
+                    AWS_ACCESS_KEY_ID: 'ENV_ID',
+                    AWS_SECRET_ACCESS_KEY: 'ENV_KEY'
+                };
+                let connection = new AwsConnectionParams({ profile: 'dev' });
+                new AwsCredentialProviderChain(env).resolve(null, connection, (err, source) => {
+                    assert.isNull(err);
+                    assert.equal(source, AwsCredentialProviderChain.Profile);
+                    assert.isNull(connection.getAccessId());
+                    callback();
+                });
+            },
+            (callback) => {
+                let env = {
+                    AWS_SHARED_CREDENTIALS_FILE: credentialsFile,
+                    AWS_PROFILE: 'dev',
+                    AWS_ACCESS_KEY_ID: 'ENV_ID',
+                    AWS_SECRET_ACCESS_KEY: 'ENV_KEY'
+                };
+                let connection = new AwsConnectionParams();
+                new AwsCredentialProviderChain(env).resolve(null, connection, (err, source) => {
+                    assert.isNull(err);
+                    assert.equal(source, AwsCredentialProviderChain.Profile);
+                    assert.isNull(connection.getAccessId());
+                    callback();
+                });
+            },
+            (callback) => {
+                let connection = new AwsConnectionParams({ profile: 'unknown' });
+                chain.resolve(null, connection, (err, source) => {
+                    assert.isNotNull(err);
+                    assert.equal(err.code, 'NO_AWS_PROFILE');
+                    callback();
+                });
+            }
+        ], done);
+    });
+
+    test('SDK Provided Credentials', (done) => {
+        let missingFile = credentialsFile + '.missing';
+
+        async.series([
+            (callback) => {
+                let chain = new AwsCredentialProviderChain({
+                    AWS_SHARED_CREDENTIALS_FILE: missingFile,
+                    AWS_WEB_IDENTITY_TOKEN_FILE: credentialsFile,
+                    AWS_ROLE_ARN: 'arn:aws:iam::123456789012:role/my-role'
+                });
+                chain.resolve(null, new AwsConnectionParams(), (err, source) => {
+                    assert.isNull(err);
+                    assert.equal(source, AwsCredentialProviderChain.WebIdentity);
+                    callback();
+                });
+            },
+            // Missing token file is skipped
+            (callback) => {
+                let chain = new AwsCredentialProviderChain({
+                    AWS_SHARED_CREDENTIALS_FILE: missingFile,
+                    AWS_WEB_IDENTITY_TOKEN_FILE: missingFile,
+                    AWS_ROLE_ARN: 'arn:aws:iam::123456789012:role/my-role',
+                    AWS_CONTAINER_CREDENTIALS_RELATIVE_URI: '/v2/credentials/id'
+                });
+                chain.resolve(null, new AwsConnectionParams(), (err, source) => {
+                    assert.isNull(err);
+                    assert.equal(source, AwsCredentialProviderChain.ContainerMetadata);
+                    callback();
+                });
+            }
+        ], done);
+    });
+
+    test('Instance Metadata Credentials', (done) => {
+        let missingFile = credentialsFile + '.missing';
+        let server: any;
+        let requests = 0;
+
+        async.series([
+            // Stand-in for EC2 instance metadata endpoint
+            (callback) => {
+                server = http.createServer((req, res) => {
+                    requests++;
+                    assert.equal(req.method, 'PUT');
+                    assert.equal(req.url, '/latest/api/token');
+                    res.end('TOKEN');
+                });
+                server.listen(3014, 'localhost', callback);
+            },
+            (callback) => {
+                let chain = new AwsCredentialProviderChain({
+                    AWS_SHARED_CREDENTIALS_FILE: missingFile,
+                    AWS_EC2_METADATA_SERVICE_ENDPOINT: 'http://localhost:3014'
+                });
+                let connection = new AwsConnectionParams();
+                chain.resolve(null, connection, (err, source) => {
+                    assert.isNull(err);
+                    assert.equal(source, AwsCredentialProviderChain.InstanceMetadata);
+                    assert.isNull(connection.getAccessId());
+                    assert.equal(requests, 1);
+                    callback();
+                });
+            },
+            (callback) => {
+                server.close(callback);
+            },
+            // Unreachable endpoint means no credentials
+            (callback) => {
+                let chain = new AwsCredentialProviderChain({
+                    AWS_SHARED_CREDENTIALS_FILE: missingFile,
+                    AWS_EC2_METADATA_SERVICE_ENDPOINT: 'http://localhost:3015'
+                });
+                chain.resolve(null, new AwsConnectionParams(), (err, source) => {
+                    assert.isNull(err);
+                    assert.equal(source, AwsCredentialProviderChain.None);
+                    callback();
+                });
+            },
+            (callback) => {
+                let chain = new AwsCredentialProviderChain({
+                    AWS_SHARED_CREDENTIALS_FILE: missingFile,
+                    AWS_EC2_METADATA_DISABLED: 'true'
+                });
+                chain.resolve(null, new AwsConnectionParams(), (err, source) => {
+                    assert.isNull(err);
+                    assert.equal(source, AwsCredentialProviderChain.None);
+                    callback();
+                });
+            }
+        ], done);
+    });
+
+});
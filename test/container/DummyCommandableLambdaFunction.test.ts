@@ -16,7 +16,8 @@ suite('DummyCommandableLambdaFunction', () => {
     suiteSetup((done) => {
         let config = ConfigParams.fromTuples(
             'logger.descriptor', 'pip-services:logger:console:default:1.0',
-            'controller.descriptor', 'pip-services-dummies:controller:default:default:1.0'
+            'controller.descriptor', 'pip-services-dummies:controller:default:default:1.0',
+            'interceptor.descriptor', 'pip-services-dummies:lambda-interceptor:default:default:1.0'
         );
 
         lambda = new DummyCommandableLambdaFunction();
@@ -141,4 +142,44 @@ suite('DummyCommandableLambdaFunction', () => {
         ], done);
     });
 
+    test('Interceptors', (done) => {
+        lambda.act(
+            {
+                cmd: 'get_dummy_by_id',
+                dummy_id: 'restricted'
+            },
+            (err, dummy) => {
+                assert.isNotNull(err);
+                assert.equal(err.code, 'ACCESS_DENIED');
+
+                done();
+            }
+        );
+    });
+
+    test('Describe Function', (done) => {
+        lambda.act(
+            {
+                cmd: '$describe'
+            },
+            (err, result) => {
+                assert.isNull(err);
+
+                assert.equal(result.name, 'dummy');
+                assert.lengthOf(result.actions, 5);
+
+                let action = result.actions.find((a) => a.name == 'get_dummy_by_id');
+                assert.isObject(action);
+                assert.sameMembers(action.schema.required, ['dummy_id']);
+                assert.equal(action.schema.properties.dummy_id.type, 'string');
+
+                action = result.actions.find((a) => a.name == 'create_dummy');
+                assert.isObject(action);
+                assert.sameMembers(action.schema.required, ['dummy']);
+
+                done();
+            }
+        );
+    });
+
 });
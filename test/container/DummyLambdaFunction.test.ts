@@ -2,14 +2,18 @@ let assert = require('chai').assert;
 let async = require('async');
 
 import { ConfigParams } from 'pip-services3-commons-node';
+import { Descriptor } from 'pip-services3-commons-node';
+import { BadRequestException } from 'pip-services3-commons-node';
 
 import { Dummy } from '../Dummy';
 import { DummyController } from '../DummyController';
 import { DummyLambdaFunction } from './DummyLambdaFunction';
+import { DummyFactory } from '../DummyFactory';
 
 suite('DummyLambdaFunction', () => {
     let DUMMY1: Dummy = { id: null, key: "Key 1", content: "Content 1" };
     let DUMMY2: Dummy = { id: null, key: "Key 2", content: "Content 2" };
+    let DUMMY3: Dummy = { id: null, key: "Key 3", content: "Content 3" };
 
     let lambda: DummyLambdaFunction;
 
@@ -141,4 +145,635 @@ suite('DummyLambdaFunction', () => {
         ], done);
     });
 
+    test('HTTP Proxy Events', (done) => {
+        var dummy1;
+
+        async.series([
+            // Create one dummy via REST API (v1) event
+            (callback) => {
+                lambda.act(
+                    {
+                        httpMethod: 'POST',
+                        path: '/dummies',
+                        headers: { 'Content-Type': 'application/json' },
+                        queryStringParameters: null,
+                        body: JSON.stringify({ dummy: DUMMY3 }),
+                        isBase64Encoded: false
+                    },
+                    (err, response) => {
+                        assert.isNull(err);
+
+                        assert.equal(response.statusCode, 200);
+                        let dummy = JSON.parse(response.body);
+                        assert.equal(dummy.content, DUMMY3.content);
+                        assert.equal(dummy.key, DUMMY3.key);
+
+                        dummy1 = dummy;
+
+                        callback();
+                    }
+                );
+            },
+            // Get the dummy via HTTP API (v2) event
+            (callback) => {
+                lambda.act(
+                    {
+                        version: '2.0',
+                        rawPath: '/test/dummies/' + dummy1.id,
+                        rawQueryString: 'correlation_id=123',
+                        queryStringParameters: { correlation_id: '123' },
+                        requestContext: {
+                            stage: 'test',
+                            http: { method: 'GET', path: '/test/dummies/' + dummy1.id }
+                        }
+                    },
+                    (err, response) => {
+                        assert.isNull(err);
+
+                        assert.equal(response.statusCode, 200);
+                        let dummy = JSON.parse(response.body);
+                        assert.equal(dummy.id, dummy1.id);
+
+                        callback();
+                    }
+                );
+            },
+            // Fail validation
+            (callback) => {
+                lambda.act(
+                    {
+                        httpMethod: 'POST',
+                        path: '/dummies',
+                        body: JSON.stringify({})
+                    },
+                    (err, response) => {
+                        assert.isNull(err);
+
+                        assert.equal(response.statusCode, 400);
+                        let error = JSON.parse(response.body);
+                        assert.equal(error.category, 'BadRequest');
+
+                        callback();
+                    }
+                );
+            },
+            // Call unknown route
+            (callback) => {
+                lambda.act(
+                    {
+                        httpMethod: 'GET',
+                        path: '/unknown'
+                    },
+                    (err, response) => {
+                        assert.isNull(err);
+
+                        assert.equal(response.statusCode, 404);
+                        let error = JSON.parse(response.body);
+                        assert.equal(error.code, 'ROUTE_NOT_FOUND');
+
+                        callback();
+                    }
+                );
+            },
+            // Call malformed path
+            (callback) => {
+                lambda.act(
+                    {
+                        httpMethod: 'GET',
+                        path: '/dummies/%E0%A4%A'
+                    },
+                    (err, response) => {
+                        assert.isNull(err);
+
+                        assert.equal(response.statusCode, 400);
+                        let error = JSON.parse(response.body);
+                        assert.equal(error.code, 'INVALID_PATH');
+
+                        callback();
+                    }
+                );
+            },
+            // Delete the dummy
+            (callback) => {
+                lambda.act(
+                    {
+                        httpMethod: 'DELETE',
+                        path: '/dummies/' + dummy1.id
+                    },
+                    (err, response) => {
+                        assert.isNull(err);
+
+                        assert.equal(response.statusCode, 200);
+
+                        callback();
+                    }
+                );
+            }
+        ], done);
+    });
+
+    test('SQS Events', (done) => {
+        let queueArn = 'arn:aws:sqs:us-east-1:123456789012:dummies';
+
+        lambda.act(
+            {
+                Records: [
+                    {
+                        messageId: '1',
+                        eventSource: 'aws:sqs',
+                        eventSourceARN: queueArn,
+                        body: JSON.stringify({ dummy: { key: "Key 4", content: "Content 4" } }),
+                        messageAttributes: {
+                            correlation_id: { stringValue: '123', dataType: 'String' }
+                        }
+                    },
+                    {
+                        messageId: '2',
+                        eventSource: 'aws:sqs',
+                        eventSourceARN: queueArn,
+                        body: JSON.stringify({ key: "Key 5" }),
+                        messageAttributes: {}
+                    },
+                    {
+                        messageId: '3',
+                        eventSource: 'aws:sqs',
+                        eventSourceARN: queueArn,
+                        body: 'Invalid JSON',
+                        messageAttributes: {}
+                    }
+                ]
+            },
+            (err, response) => {
+                assert.isNull(err);
+
+                assert.isObject(response);
+                assert.lengthOf(response.batchItemFailures, 2);
+                assert.equal(response.batchItemFailures[0].itemIdentifier, '2');
+                assert.equal(response.batchItemFailures[1].itemIdentifier, '3');
+
+                done();
+            }
+        );
+    });
+
+    test('SNS, EventBridge and Schedule Events', (done) => {
+        async.series([
+            // Process SNS notification
+            (callback) => {
+                lambda.act(
+                    {
+                        Records: [
+                            {
+                                EventSource: 'aws:sns',
+                                Sns: {
+                                    MessageId: '1',
+                                    TopicArn: 'arn:aws:sns:us-east-1:123456789012:dummies',
+                                    Subject: 'Create dummy',
+                                    Message: JSON.stringify({ key: "Key 6", content: "Content 6" }),
+                                    MessageAttributes: {
+                                        correlation_id: { Type: 'String', Value: '123' }
+                                    }
+                                }
+                            }
+                        ]
+                    },
+                    (err, result) => {
+                        assert.isNull(err);
+
+                        callback();
+                    }
+                );
+            },
+            // Process EventBridge event
+            (callback) => {
+                lambda.act(
+                    {
+                        id: '1',
+                        source: 'dummies.service',
+                        'detail-type': 'Dummy Created',
+                        account: '123456789012',
+                        region: 'us-east-1',
+                        resources: [],
+                        detail: { key: "Key 7", content: "Content 7" }
+                    },
+                    (err, dummy) => {
+                        assert.isNull(err);
+
+                        assert.isObject(dummy);
+                        assert.equal(dummy.key, "Key 7");
+
+                        callback();
+                    }
+                );
+            },
+            // Process unknown EventBridge event
+            (callback) => {
+                lambda.act(
+                    {
+                        id: '2',
+                        source: 'other.service',
+                        'detail-type': 'Dummy Created',
+                        detail: {}
+                    },
+                    (err, result) => {
+                        assert.isNotNull(err);
+                        assert.equal(err.code, 'NO_EVENT_ACTION');
+
+                        callback();
+                    }
+                );
+            },
+            // Process scheduled event
+            (callback) => {
+                lambda.act(
+                    {
+                        id: '3',
+                        source: 'aws.events',
+                        'detail-type': 'Scheduled Event',
+                        resources: ['arn:aws:events:us-east-1:123456789012:rule/dummies-cleanup'],
+                        detail: {}
+                    },
+                    (err, result) => {
+                        assert.isNull(err);
+
+                        assert.equal(result.rule, 'dummies-cleanup');
+
+                        callback();
+                    }
+                );
+            }
+        ], done);
+    });
+
+    test('S3 and DynamoDB Stream Events', (done) => {
+        let streamArn = 'arn:aws:dynamodb:us-east-1:123456789012:table/Dummies/stream/2021-01-01T00:00:00.000';
+
+        async.series([
+            // Process S3 notifications
+            (callback) => {
+                lambda.act(
+                    {
+                        Records: [
+                            {
+                                eventSource: 'aws:s3',
+                                eventName: 'ObjectCreated:Put',
+                                s3: {
+                                    bucket: { name: 'dummies' },
+                                    object: { key: 'import/my+dummy%281%29.json', size: 10 }
+                                }
+                            },
+                            {
+                                eventSource: 'aws:s3',
+                                eventName: 'ObjectCreated:Put',
+                                s3: {
+                                    bucket: { name: 'dummies' },
+                                    object: { key: 'export/dummy.json', size: 10 }
+                                }
+                            },
+                            {
+                                eventSource: 'aws:s3',
+                                eventName: 'ObjectCreated:Put',
+                                s3: {
+                                    bucket: { name: 'dummies' },
+                                    object: { key: 'import/bad%E0%A4%A.json', size: 10 }
+                                }
+                            }
+                        ]
+                    },
+                    (err, result) => {
+                        assert.isNull(err);
+
+                        callback();
+                    }
+                );
+            },
+            // Check the created dummies
+            (callback) => {
+                lambda.act(
+                    {
+                        cmd: 'get_dummies',
+                        filter: { key: 'import/my dummy(1).json' }
+                    },
+                    (err, dummies) => {
+                        assert.isNull(err);
+
+                        assert.lengthOf(dummies.data, 1);
+                        assert.equal(dummies.data[0].content, 'dummies');
+
+                        callback();
+                    }
+                );
+            },
+            // Malformed keys are passed as they are
+            (callback) => {
+                lambda.act(
+                    {
+                        cmd: 'get_dummies',
+                        filter: { key: 'import/bad%E0%A4%A.json' }
+                    },
+                    (err, dummies) => {
+                        assert.isNull(err);
+
+                        assert.lengthOf(dummies.data, 1);
+
+                        callback();
+                    }
+                );
+            },
+            // Process DynamoDB stream records
+            (callback) => {
+                lambda.act(
+                    {
+                        Records: [
+                            {
+                                eventID: '1',
+                                eventName: 'INSERT',
+                                eventSource: 'aws:dynamodb',
+                                eventSourceARN: streamArn,
+                                dynamodb: {
+                                    Keys: { id: { S: '100' } },
+                                    NewImage: { id: { S: '100' }, key: { S: 'Key 8' }, content: { S: 'Content 8' } },
+                                    SequenceNumber: '111'
+                                }
+                            },
+                            {
+                                eventID: '2',
+                                eventName: 'INSERT',
+                                eventSource: 'aws:dynamodb',
+                                eventSourceARN: streamArn,
+                                dynamodb: {
+                                    Keys: { id: { S: '101' } },
+                                    NewImage: { id: { S: '101' }, key: { N: '9' } },
+                                    SequenceNumber: '222'
+                                }
+                            },
+                            {
+                                eventID: '3',
+                                eventName: 'MODIFY',
+                                eventSource: 'aws:dynamodb',
+                                eventSourceARN: streamArn,
+                                dynamodb: {
+                                    Keys: { id: { S: '100' } },
+                                    NewImage: { id: { S: '100' }, key: { S: 'Key 8' }, content: { S: 'Content 9' } },
+                                    OldImage: { id: { S: '100' }, key: { S: 'Key 8' }, content: { S: 'Content 8' } },
+                                    SequenceNumber: '333'
+                                }
+                            }
+                        ]
+                    },
+                    (err, response) => {
+                        assert.isNull(err);
+
+                        assert.lengthOf(response.batchItemFailures, 1);
+                        assert.equal(response.batchItemFailures[0].itemIdentifier, '222');
+
+                        callback();
+                    }
+                );
+            }
+        ], done);
+    });
+
+    test('Promise API', async () => {
+        let result = await lambda.act({
+            cmd: 'count_dummies'
+        });
+        assert.isObject(result);
+        assert.isNumber(result.count);
+
+        let handler = lambda.getHandler();
+        let page = await handler({ cmd: 'get_dummies' }, {});
+        assert.lengthOf(page.data, result.count);
+
+        let error = null;
+        try {
+            await handler({ cmd: 'unknown_command' }, {});
+        } catch (err) {
+            error = err;
+        }
+        assert.isNotNull(error);
+        assert.equal(error.code, 'NO_ACTION');
+        assert.equal(error.category, 'BadRequest');
+        assert.equal(JSON.parse(error.message).code, 'NO_ACTION');
+
+        // Local calls receive the original exception
+        error = null;
+        try {
+            await lambda.act({ cmd: 'unknown_command' });
+        } catch (err) {
+            error = err;
+        }
+        assert.instanceOf(error, BadRequestException);
+        assert.equal(error.code, 'NO_ACTION');
+    });
+
+    test('Interceptors', (done) => {
+        async.series([
+            // Intercepted action
+            (callback) => {
+                lambda.act(
+                    {
+                        cmd: 'count_dummies'
+                    },
+                    (err, result) => {
+                        assert.isNull(err);
+
+                        assert.equal(result.cmd, 'count_dummies');
+
+                        callback();
+                    }
+                );
+            },
+            // Not intercepted action
+            (callback) => {
+                lambda.act(
+                    {
+                        cmd: 'get_dummy_by_id',
+                        dummy_id: '1'
+                    },
+                    (err, result) => {
+                        assert.isNull(err);
+
+                        callback();
+                    }
+                );
+            }
+        ], done);
+    });
+
+    test('Action Interceptor Descriptors', (done) => {
+        let calls = 0;
+        let scopedLambda = new DummyLambdaFunction();
+        scopedLambda.configure(ConfigParams.fromTuples(
+            'controller.descriptor', 'pip-services-dummies:controller:default:default:1.0',
+            'interceptor.descriptor', 'pip-services-dummies:lambda-interceptor:default:default:1.0'
+        ));
+        (<any>scopedLambda).registerInterceptor(DummyFactory.InterceptorDescriptor, 'get_dummy_by_id');
+
+        async.series([
+            (callback) => {
+                scopedLambda.open(null, callback);
+            },
+            (callback) => {
+                let interceptor = (<any>scopedLambda)._references.getOneRequired(DummyFactory.InterceptorDescriptor);
+                let intercept = interceptor.intercept.bind(interceptor);
+                interceptor.intercept = (cmd, params, context, next, callback) => {
+                    calls++;
+                    intercept(cmd, params, context, next, callback);
+                };
+
+                scopedLambda.act({ cmd: 'get_dummy_by_id', dummy_id: 'restricted' }, (err, result) => {
+                    assert.isNotNull(err);
+                    assert.equal(err.code, 'ACCESS_DENIED');
+                    assert.equal(calls, 1);
+                    callback();
+                });
+            },
+            // Not applied to other actions
+            (callback) => {
+                scopedLambda.act({ cmd: 'delete_dummy', dummy_id: 'restricted' }, (err, result) => {
+                    assert.isNull(err);
+                    assert.equal(calls, 1);
+                    callback();
+                });
+            },
+            (callback) => {
+                scopedLambda.close(null, callback);
+            }
+        ], done);
+    });
+
+    test('Describe Function', (done) => {
+        lambda.act(
+            {
+                cmd: '$describe'
+            },
+            (err, result) => {
+                assert.isNull(err);
+
+                assert.equal(result.name, 'dummy');
+                assert.equal(result.description, 'Dummy lambda function');
+
+                let action = result.actions.find((a) => a.name == 'create_dummy');
+                assert.isObject(action);
+                assert.equal(action.schema.type, 'object');
+                assert.sameMembers(action.schema.required, ['dummy']);
+                assert.equal(action.schema.properties.dummy.properties.key.type, 'string');
+
+                assert.isUndefined(result.actions.find((a) => a.name == '$describe'));
+
+                let route = result.routes.find((r) => r.cmd == 'get_dummy_by_id');
+                assert.equal(route.method, 'GET');
+                assert.equal(route.route, '/dummies/:dummy_id');
+
+                done();
+            }
+        );
+    });
+
+    test('Invocation Timeout', async () => {
+        process.env.TIMEOUT_MARGIN = '100';
+
+        try {
+            let handler = lambda.getHandler();
+
+            let result = await handler({ cmd: 'wait', delay: 0 }, { getRemainingTimeInMillis: () => 300 });
+            assert.isNotNull(result.deadline);
+
+            // Async actions receive the context as well
+            result = await handler({ cmd: 'wait_async', delay: 0 }, { getRemainingTimeInMillis: () => 300 });
+            assert.isNotNull(result.deadline);
+
+            let error = null;
+            try {
+                await handler({ cmd: 'wait', delay: 500 }, { getRemainingTimeInMillis: () => 300 });
+            } catch (err) {
+                error = err;
+            }
+            assert.isNotNull(error);
+            assert.equal(error.code, 'INVOCATION_TIMEOUT');
+            assert.equal(error.status, 504);
+        } finally {
+            delete process.env.TIMEOUT_MARGIN;
+        }
+    });
+
+    test('Timeout Margin Option', async () => {
+        let config = ConfigParams.fromTuples(
+            'options.timeout_margin', 100,
+            'controller.descriptor', 'pip-services-dummies:controller:default:default:1.0'
+        );
+
+        let timedLambda = new DummyLambdaFunction();
+        timedLambda.configure(config);
+        await new Promise((resolve, reject) => {
+            timedLambda.open(null, (err) => { if (err) reject(err); else resolve(null); });
+        });
+
+        // Logger that saves messages asynchronously
+        let flushed = false;
+        let logger = {
+            flush: (correlationId, callback) => {
+                setTimeout(() => { flushed = true; callback(null); }, 50);
+            }
+        };
+        (<any>timedLambda)._references.put(new Descriptor('pip-services', 'logger', 'async', 'default', '1.0'), logger);
+
+        try {
+            let error = null;
+            try {
+                await timedLambda.getHandler()({ cmd: 'wait', delay: 500 }, { getRemainingTimeInMillis: () => 300 });
+            } catch (err) {
+                error = err;
+            }
+            assert.isNotNull(error);
+            assert.equal(error.code, 'INVOCATION_TIMEOUT');
+            assert.equal(error.details.timeout, 200);
+            assert.isTrue(flushed);
+
+            // Slow flush does not delay the error past the platform time limit
+            logger.flush = (correlationId, callback) => {
+                setTimeout(() => { callback(null); }, 5000);
+            };
+            let start = new Date().getTime();
+            error = null;
+            try {
+                await timedLambda.getHandler()({ cmd: 'wait', delay: 500 }, { getRemainingTimeInMillis: () => 300 });
+            } catch (err) {
+                error = err;
+            }
+            assert.equal(error.code, 'INVOCATION_TIMEOUT');
+            assert.isBelow(new Date().getTime() - start, 1000);
+        } finally {
+            await new Promise((resolve) => { timedLambda.close(null, resolve); });
+        }
+    });
+
+    test('Batch Commands', (done) => {
+        lambda.act(
+            {
+                cmd: '$batch',
+                parallel: true,
+                commands: [
+                    { cmd: 'create_dummy', params: { dummy: { key: 'Key 4', content: 'Content 4' } } },
+                    { cmd: 'create_dummy', params: {} },
+                    { cmd: 'count_dummies' },
+                    { params: {} }
+                ]
+            },
+            (err, results) => {
+                assert.isNull(err);
+
+                assert.lengthOf(results, 4);
+                assert.equal(results[0].result.key, 'Key 4');
+                assert.equal(results[1].error.code, 'INVALID_DATA');
+                assert.equal(results[2].cmd, 'count_dummies');
+                assert.isObject(results[2].result);
+                assert.equal(results[3].error.code, 'NO_COMMAND');
+
+                done();
+            }
+        );
+    });
+
 });
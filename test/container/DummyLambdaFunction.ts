@@ -71,6 +71,67 @@ export class DummyLambdaFunction extends LambdaFunction {
         );
     }
 
+    private countDummies(params: any): Promise<any> {
+        return new Promise((resolve, reject) => {
+            this._controller.getPageByFilter(
+                params.correlation_id,
+                new FilterParams(params.filter),
+                new PagingParams(params.paging),
+                (err, page) => {
+                    if (err) reject(err);
+                    else resolve({ count: page.data.length });
+                }
+            );
+        });
+    }
+
+    private createFromMessage(params: any, callback: (err: any, result?: any) => void): void {
+        this._controller.create(
+            params.correlation_id,
+            params.message,
+            callback
+        );
+    }
+
+    private createFromEvent(params: any, callback: (err: any, result?: any) => void): void {
+        this._controller.create(
+            params.correlation_id,
+            params.detail,
+            callback
+        );
+    }
+
+    private createFromObject(params: any, callback: (err: any, result?: any) => void): void {
+        this._controller.create(
+            params.correlation_id,
+            { id: null, key: params.key, content: params.bucket },
+            callback
+        );
+    }
+
+    private createFromRecord(params: any, callback: (err: any, result?: any) => void): void {
+        this._controller.create(
+            params.correlation_id,
+            params.new_image,
+            callback
+        );
+    }
+
+    private wait(params: any, callback: (err: any, result?: any) => void, context: any): void {
+        setTimeout(() => {
+            callback(null, { deadline: context.deadline });
+        }, params.delay || 0);
+    }
+
+    private async waitAsync(params: any, callback: any, context: any): Promise<any> {
+        await new Promise((resolve) => { setTimeout(resolve, params.delay || 0); });
+        return { deadline: context.deadline };
+    }
+
+    private cleanup(params: any, callback: (err: any, result?: any) => void): void {
+        callback(null, { rule: params.rule });
+    }
+
     protected register() {
         this.registerAction(
             'get_dummies',
@@ -102,6 +163,58 @@ export class DummyLambdaFunction extends LambdaFunction {
             new ObjectSchema(true)
                 .withOptionalProperty("dummy_id", TypeCode.String)
             , this.deleteById);
+
+        this.registerAction(
+            'count_dummies',
+            new ObjectSchema(true)
+                .withOptionalProperty("filter", new FilterParamsSchema())
+            , this.countDummies);
+
+        this.registerAction('wait', null, this.wait);
+        this.registerAction('wait_async', null, this.waitAsync);
+
+        this.registerInterceptor((cmd, params, context, next, callback) => {
+            next(params, (err, result) => {
+                if (result != null) result.cmd = cmd;
+                callback(err, result);
+            });
+        }, 'count_dummies');
+
+        this.registerRoute('get', '/dummies', 'get_dummies');
+        this.registerRoute('get', '/dummies/:dummy_id', 'get_dummy_by_id');
+        this.registerRoute('post', '/dummies', 'create_dummy');
+        this.registerRoute('put', '/dummies', 'update_dummy');
+        this.registerRoute('delete', '/dummies/{dummy_id}', 'delete_dummy');
+
+        this.registerQueueAction(
+            'dummies',
+            new ObjectSchema(true)
+                .withRequiredProperty("dummy", new DummySchema())
+            , this.create, 2);
+
+        this.registerTopicAction(
+            'dummies',
+            new ObjectSchema(true)
+                .withRequiredProperty("message", new DummySchema())
+            , this.createFromMessage);
+
+        this.registerEventAction(
+            'dummies.*',
+            'Dummy Created',
+            new ObjectSchema(true)
+                .withRequiredProperty("detail", new DummySchema())
+            , this.createFromEvent);
+
+        this.registerScheduleAction('dummies-cleanup', this.cleanup);
+
+        this.registerObjectAction('dummies', 'import/', '.json', this.createFromObject);
+
+        this.registerStreamAction(
+            'Dummies',
+            'INSERT',
+            new ObjectSchema(true)
+                .withRequiredProperty("new_image", new DummySchema())
+            , this.createFromRecord);
     }
 }
 